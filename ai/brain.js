@@ -4,6 +4,18 @@ const compromise = require('compromise');
 const database = require('../database/database');
 const logger = require('../logs/logger');
 
+// Intenções reconhecidas (texto já sem acentos); a primeira que casar vence
+const INTENTS = {
+    greeting: /\b(oi|ola|bom dia|boa tarde|boa noite|hey|e ai)\b/i,
+    farewell: /\b(tchau|ate logo|ate mais|falou|obrigado|valeu|ate)\b/i,
+    question: /\b(como|quando|onde|porque|qual|quanto|quem|o que)\b/i,
+    complaint: /\b(problema|erro|nao funciona|ruim|pessimo|horrivel|reclamar)\b/i,
+    praise: /\b(otimo|excelente|perfeito|muito bom|parabens|top|show)\b/i,
+    help: /\b(ajuda|socorro|help|auxilio|preciso)\b/i,
+    purchase: /\b(comprar|preco|valor|quanto custa|orcamento|pagar)\b/i,
+    support: /\b(suporte|tecnico|assistencia|manutencao)\b/i
+};
+
 class AIBrain {
     constructor() {
         // Configurar tokenizer e classificador
@@ -131,18 +143,7 @@ class AIBrain {
 
     // Detectar intenção
     detectIntent(message) {
-        const intents = {
-            greeting: /\b(oi|ola|bom dia|boa tarde|boa noite|hey|e ai)\b/i,
-            farewell: /\b(tchau|ate logo|ate mais|falou|obrigado|valeu|ate)\b/i,
-            question: /\b(como|quando|onde|porque|qual|quanto|quem|o que)\b/i,
-            complaint: /\b(problema|erro|nao funciona|ruim|pessimo|horrivel|reclamar)\b/i,
-            praise: /\b(otimo|excelente|perfeito|muito bom|parabens|top|show)\b/i,
-            help: /\b(ajuda|socorro|help|auxilio|preciso)\b/i,
-            purchase: /\b(comprar|preco|valor|quanto custa|orcamento|pagar)\b/i,
-            support: /\b(suporte|tecnico|assistencia|manutencao)\b/i
-        };
-
-        for (const [intent, pattern] of Object.entries(intents)) {
+        for (const [intent, pattern] of Object.entries(INTENTS)) {
             if (pattern.test(message)) {
                 return intent;
             }
@@ -151,6 +152,11 @@ class AIBrain {
         return 'unknown';
     }
 
+    // Nomes aceitos pelo detectIntent (usados na validação dos steps switch)
+    getIntents() {
+        return [...Object.keys(INTENTS), 'unknown'];
+    }
+
     // Encontrar melhor resposta
     async findBestResponse(message, userContext, intent) {
         // Verificar cache
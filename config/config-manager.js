@@ -1,6 +1,8 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../logs/logger');
+const flowValidator = require('./flow-validator');
 
 class ConfigManager {
     constructor() {
@@ -22,6 +24,22 @@ class ConfigManager {
     // Salvar configuração
     saveConfig(newConfig) {
         try {
+            // Fluxos com erro não chegam ao disco (nem ao hot reload)
+            const validation = flowValidator.validate(newConfig);
+            if (!validation.valid) {
+                logger.warn(`Configuration rejected: ${validation.errors.length} flow error(s)`);
+
+                // Os helpers (departamentos, modo...) alteram this.config antes de salvar: volta ao que está no disco
+                this.config = this.loadConfig();
+                return {
+                    success: false,
+                    status: 400,
+                    error: 'Fluxos inválidos',
+                    details: validation.errors,
+                    warnings: validation.warnings
+                };
+            }
+
             // Backup da configuração atual
             const backupPath = path.join(__dirname, `bot.config.backup.${Date.now()}.json`);
             fs.copyFileSync(this.configPath, backupPath);
@@ -32,7 +50,7 @@ class ConfigManager {
             this.config = newConfig;
             
             logger.info('✅ Configuration saved successfully');
-            return { success: true, message: 'Configuração salva com sucesso!' };
+            return { success: true, message: 'Configuração salva com sucesso!', warnings: validation.warnings };
         } catch (error) {
             logger.error('Error saving config:', error);
             return { success: false, error: error.message };
@@ -99,6 +117,234 @@ class ConfigManager {
         return this.saveConfig(this.config);
     }
 
+    // ============================================
+    // FERIADOS E EXCEÇÕES DE HORÁRIO
+    // ============================================
+
+    listHolidays() {
+        return this.config.business_hours.holidays || [];
+    }
+
+    validateHoliday(data) {
+        const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+        if (!/^(\d{4}-)?\d{2}-\d{2}$/.test(data.date || '')) {
+            return 'Data inválida (use AAAA-MM-DD ou MM-DD para todo ano)';
+        }
+
+        if (Boolean(data.open) !== Boolean(data.close)) {
+            return 'Informe abertura e fechamento juntos (ou nenhum para fechar o dia)';
+        }
+
+        if (data.open && (!time.test(data.open) || !time.test(data.close) || data.open >= data.close)) {
+            return 'Horário especial inválido';
+        }
+
+        return null;
+    }
+
+    // Adicionar feriado/exceção
+    addHoliday(data) {
+        const error = this.validateHoliday(data);
+        if (error) {
+            return { success: false, error: error };
+        }
+
+        const holidays = this.listHolidays();
+        const newId = Math.max(...holidays.map(h => h.id || 0), 0) + 1;
+
+        holidays.push({
+            id: newId,
+            date: data.date,
+            name: data.name || 'Feriado',
+            open: data.open || null,
+            close: data.close || null
+        });
+
+        this.config.business_hours.holidays = holidays;
+        return this.saveConfig(this.config);
+    }
+
+    // Atualizar feriado/exceção
+    updateHoliday(id, data) {
+        const holidays = this.listHolidays();
+        const index = holidays.findIndex(h => h.id === id);
+
+        if (index === -1) {
+            return { success: false, error: 'Feriado não encontrado' };
+        }
+
+        const updated = { ...holidays[index], ...data, id: id };
+        const error = this.validateHoliday(updated);
+        if (error) {
+            return { success: false, error: error };
+        }
+
+        holidays[index] = updated;
+        return this.saveConfig(this.config);
+    }
+
+    // Remover feriado/exceção
+    removeHoliday(id) {
+        const holidays = this.listHolidays();
+
+        if (!holidays.some(h => h.id === id)) {
+            return { success: false, error: 'Feriado não encontrado' };
+        }
+
+        this.config.business_hours.holidays = holidays.filter(h => h.id !== id);
+        return this.saveConfig(this.config);
+    }
+
+    // ============================================
+    // FLUXOS (CRUD COM CONTROLE DE VERSÃO)
+    // ============================================
+
+    // Versão = hash do conteúdo do fluxo; usada como ETag
+    getFlowVersion(flow) {
+        return crypto.createHash('sha1').update(JSON.stringify(flow)).digest('hex').slice(0, 16);
+    }
+
+    listFlows() {
+        return Object.entries(this.config.flows || {}).map(([id, flow]) => ({
+            id: id,
+            name: flow.name || id,
+            steps: flow.steps.length,
+            version: this.getFlowVersion(flow)
+        }));
+    }
+
+    getFlow(flowId) {
+        const flow = (this.config.flows || {})[flowId];
+        return flow ? { id: flowId, version: this.getFlowVersion(flow), flow: flow } : null;
+    }
+
+    createFlow(flowId, flow) {
+        if (typeof flowId !== 'string' || !/^\w+$/.test(flowId)) {
+            return { success: false, status: 400, error: 'id do fluxo inválido (letras, números e _)' };
+        }
+
+        if ((this.config.flows || {})[flowId]) {
+            return { success: false, status: 409, error: `Fluxo ${flowId} já existe` };
+        }
+
+        return this.saveFlow(flowId, flow, 201);
+    }
+
+    updateFlow(flowId, version, flow) {
+        return this.changeFlow(flowId, version, () => flow);
+    }
+
+    deleteFlow(flowId, version) {
+        return this.changeFlow(flowId, version, () => null);
+    }
+
+    addStep(flowId, version, step, position) {
+        return this.changeFlow(flowId, version, (flow) => {
+            const steps = [...flow.steps];
+            const index = Number.isInteger(position) ? Math.max(0, Math.min(position, steps.length)) : steps.length;
+
+            steps.splice(index, 0, step);
+            return { ...flow, steps: steps };
+        });
+    }
+
+    updateStep(flowId, stepId, version, step) {
+        return this.changeStep(flowId, stepId, version, (steps, index) => {
+            steps[index] = { ...step, id: step.id || stepId };
+        });
+    }
+
+    deleteStep(flowId, stepId, version) {
+        return this.changeStep(flowId, stepId, version, (steps, index) => {
+            steps.splice(index, 1);
+        });
+    }
+
+    // order: lista com todos os ids dos steps na nova ordem
+    reorderSteps(flowId, version, order) {
+        return this.changeFlow(flowId, version, (flow) => {
+            const ids = flow.steps.map(step => step.id);
+
+            if (!Array.isArray(order) || order.length !== ids.length || ids.some(id => !order.includes(id))) {
+                return { error: 'order deve conter todos os ids dos steps do fluxo, uma vez cada' };
+            }
+
+            return { ...flow, steps: order.map(id => flow.steps.find(step => step.id === id)) };
+        });
+    }
+
+    changeStep(flowId, stepId, version, mutate) {
+        return this.changeFlow(flowId, version, (flow) => {
+            const steps = [...flow.steps];
+            const index = steps.findIndex(step => step.id === stepId);
+
+            if (index === -1) {
+                return { status: 404, error: `Step ${stepId} não encontrado no fluxo ${flowId}` };
+            }
+
+            mutate(steps, index);
+            return { ...flow, steps: steps };
+        });
+    }
+
+    // Aplica a alteração só se o fluxo ainda estiver na versão que o editor leu
+    changeFlow(flowId, version, change) {
+        const current = this.getFlow(flowId);
+
+        if (!current) {
+            return { success: false, status: 404, error: `Fluxo ${flowId} não encontrado` };
+        }
+
+        if (!version) {
+            return { success: false, status: 428, error: 'Informe a versão do fluxo (If-Match ou version)' };
+        }
+
+        if (version !== current.version) {
+            return {
+                success: false,
+                status: 412,
+                error: 'O fluxo foi alterado por outra pessoa; recarregue e tente novamente',
+                version: current.version
+            };
+        }
+
+        const flow = change(current.flow);
+
+        if (flow && flow.error) {
+            return { success: false, status: flow.status || 400, error: flow.error };
+        }
+
+        return this.saveFlow(flowId, flow, 200);
+    }
+
+    // flow null remove o fluxo; a validação completa roda no saveConfig
+    saveFlow(flowId, flow, status) {
+        if (flow !== null && (!flow || typeof flow !== 'object' || Array.isArray(flow))) {
+            return { success: false, status: 400, error: 'Fluxo inválido' };
+        }
+
+        const flows = { ...this.config.flows };
+
+        if (flow === null) {
+            delete flows[flowId];
+        } else {
+            flows[flowId] = flow;
+        }
+
+        const result = this.saveConfig({ ...this.config, flows: flows });
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            status: status,
+            data: flow === null ? null : this.getFlow(flowId),
+            warnings: result.warnings
+        };
+    }
+
     // Restaurar backup
     restoreBackup(backupFile) {
         try {
@@ -0,0 +1,358 @@
+/**
+ * ============================================
+ * FLOW VALIDATOR - Validação dos Fluxos
+ * Tipos e campos dos steps, condições e regras, destinos, departamentos, steps inalcançáveis e loops
+ * ============================================
+ */
+
+const RequestValidators = require('../security/validators');
+const expression = require('../modules/expression');
+const HttpRequest = require('../modules/http-request');
+const AIBrain = require('../ai/brain');
+
+// Steps que seguem sozinhos para o próximo, sem esperar mensagem do cliente
+// (switch também, quando não faz pergunta própria)
+const AUTO_ADVANCE_TYPES = ['message', 'send_media', 'condition', 'action', 'http_request'];
+
+// Ações que encerram o fluxo entregando a conversa a um atendente
+const TRANSFER_ACTIONS = ['transfer_human', 'transfer_department'];
+
+// Só a conferência da URL e dos caminhos; não faz chamadas
+const http = new HttpRequest({ config: {} });
+
+const JOI_OPTIONS = {
+    abortEarly: false,
+    errors: { label: 'key', wrap: { label: false } }
+};
+
+class FlowValidator {
+    /**
+     * Valida os fluxos de uma configuração.
+     * errors impedem salvar; warnings (steps inalcançáveis) são só avisos.
+     * Cada item traz o caminho exato na configuração: { field, message }
+     */
+    validate(config) {
+        const errors = [];
+        const warnings = [];
+        const flows = config && config.flows;
+
+        if (!flows || typeof flows !== 'object' || Array.isArray(flows)) {
+            errors.push({ field: 'flows', message: 'flows deve ser um objeto { id: fluxo }' });
+            return { valid: false, errors: errors, warnings: warnings };
+        }
+
+        Object.entries(config.modes || {}).forEach(([mode, settings]) => {
+            if (settings && settings.flowId && !flows[settings.flowId]) {
+                errors.push({
+                    field: `modes.${mode}.flowId`,
+                    message: `Fluxo "${settings.flowId}" não encontrado`
+                });
+            }
+        });
+
+        const departmentIds = new Set((config.departments || []).map(dept => dept.id));
+        const allowlist = (config.integrations && config.integrations.allowlist) || [];
+
+        Object.entries(flows).forEach(([flowId, flow]) => {
+            const { error } = RequestValidators.flowSchema.validate(flow, JOI_OPTIONS);
+
+            if (error) {
+                error.details.forEach((detail) => {
+                    errors.push({ field: ['flows', flowId, ...detail.path].join('.'), message: detail.message });
+                });
+                return;
+            }
+
+            this.validateFlow(flowId, flow, flows, departmentIds, allowlist, errors, warnings);
+        });
+
+        return { valid: errors.length === 0, errors: errors, warnings: warnings };
+    }
+
+    // Referências e estrutura de um fluxo cujos steps já passaram pelos schemas
+    validateFlow(flowId, flow, flows, departmentIds, allowlist, errors, warnings) {
+        const prefix = `flows.${flowId}.steps`;
+        const indexById = new Map();
+
+        flow.steps.forEach((step, index) => {
+            if (indexById.has(step.id)) {
+                errors.push({ field: `${prefix}.${index}.id`, message: `Step "${step.id}" duplicado no fluxo` });
+                return;
+            }
+            indexById.set(step.id, index);
+        });
+
+        // Com ids repetidos os destinos ficam ambíguos: o grafo só é analisado depois de corrigir
+        if (indexById.size !== flow.steps.length) {
+            return;
+        }
+
+        // Grafo do fluxo: edges = steps de destino; exit = sai do fluxo (outro fluxo, transferência ou fim)
+        const graph = flow.steps.map((step, index) => {
+            const node = { step: step, index: index, edges: [], exit: false };
+
+            this.getTargets(step).forEach(({ field, target }) => {
+                if (indexById.has(target)) {
+                    node.edges.push(indexById.get(target));
+                } else if (flows[target]) {
+                    node.exit = true;
+                } else {
+                    errors.push({
+                        field: `${prefix}.${index}.${field}`,
+                        message: `Destino "${target}" não é um step deste fluxo nem um fluxo`
+                    });
+                }
+            });
+
+            this.getRuleErrors(step, allowlist).forEach(({ field, message }) => {
+                errors.push({ field: `${prefix}.${index}.${field}`, message: message });
+            });
+
+            this.getDepartments(step).forEach(({ field, departmentId }) => {
+                if (!departmentIds.has(departmentId)) {
+                    errors.push({
+                        field: `${prefix}.${index}.${field}`,
+                        message: `Departamento ${departmentId} não encontrado`
+                    });
+                }
+            });
+
+            if (this.isTransfer(step) || node.edges.length === 0) {
+                node.exit = true;
+            }
+
+            return node;
+        });
+
+        const reachable = this.findReachable(graph);
+
+        graph.forEach((node) => {
+            if (!reachable.has(node.index)) {
+                warnings.push({
+                    field: `${prefix}.${node.index}`,
+                    message: `Step "${node.step.id}" nunca é alcançado a partir do início do fluxo`
+                });
+            }
+        });
+
+        this.findAutoLoops(graph).forEach((cycle) => {
+            const path = cycle.concat(cycle[0]).map(index => graph[index].step.id).join(' → ');
+            errors.push({
+                field: `${prefix}.${cycle[0]}`,
+                message: `Loop infinito sem resposta do cliente: ${path}`
+            });
+        });
+
+        const canExit = this.findExiting(graph);
+
+        graph.forEach((node) => {
+            if (reachable.has(node.index) && !canExit.has(node.index)) {
+                errors.push({
+                    field: `${prefix}.${node.index}`,
+                    message: `Step "${node.step.id}" está em um loop sem saída ` +
+                        '(nenhum caminho leva ao fim, a outro fluxo ou a uma transferência)'
+                });
+            }
+        });
+    }
+
+    // ============================================
+    // REFERÊNCIAS DOS STEPS
+    // ============================================
+
+    getTargets(step) {
+        const targets = ['next', 'if_true', 'if_false', 'fallback', 'on_success', 'on_error']
+            .filter(field => step[field])
+            .map(field => ({ field: field, target: step[field] }));
+
+        (step.options || []).forEach((option, index) => {
+            if (step.type === 'menu' && option.action === 'goto') {
+                targets.push({ field: `options.${index}.target`, target: option.target });
+            }
+
+            if (step.type === 'quick_reply' && option.next) {
+                targets.push({ field: `options.${index}.next`, target: option.next });
+            }
+        });
+
+        if (step.type === 'switch') {
+            step.cases.forEach((switchCase, index) => {
+                targets.push({ field: `cases.${index}.next`, target: switchCase.next });
+            });
+            targets.push({ field: 'default', target: step.default });
+        }
+
+        return targets;
+    }
+
+    // Expressões, regex, intenções e URLs que o schema não consegue conferir
+    getRuleErrors(step, allowlist = []) {
+        const problems = [];
+
+        if (step.type === 'condition') {
+            const problem = expression.check(step.condition);
+            if (problem) {
+                problems.push({ field: 'condition', message: `Condição inválida: ${problem}` });
+            }
+        }
+
+        if (step.type === 'switch') {
+            const intents = AIBrain.getIntents();
+
+            step.cases.forEach((switchCase, index) => {
+                const conditionProblem = switchCase.condition && expression.check(switchCase.condition);
+                if (conditionProblem) {
+                    problems.push({ field: `cases.${index}.condition`, message: `Condição inválida: ${conditionProblem}` });
+                }
+
+                const regexProblem = switchCase.regex && expression.checkPattern(switchCase.regex, switchCase.flags);
+                if (regexProblem) {
+                    problems.push({ field: `cases.${index}.regex`, message: regexProblem });
+                }
+
+                [].concat(switchCase.intent || []).filter(intent => !intents.includes(intent)).forEach((intent) => {
+                    problems.push({
+                        field: `cases.${index}.intent`,
+                        message: `Intenção "${intent}" desconhecida (use ${intents.join(', ')})`
+                    });
+                });
+            });
+        }
+
+        // URL de mídia segue a mesma allowlist das integrações: o bot não baixa de qualquer endereço
+        if (step.type === 'send_media' && step.url) {
+            const urlProblem = http.checkUrl(step.url, allowlist);
+            if (urlProblem) {
+                problems.push({ field: 'url', message: urlProblem });
+            }
+        }
+
+        if (step.type === 'http_request') {
+            const urlProblem = http.checkUrl(step.url, allowlist);
+            if (urlProblem) {
+                problems.push({ field: 'url', message: urlProblem });
+            }
+
+            Object.entries(step.response_mapping || {}).forEach(([field, path]) => {
+                if (!http.parsePath(path)) {
+                    problems.push({
+                        field: `response_mapping.${field}`,
+                        message: `Caminho "${path}" inválido (use $.campo, $.lista[0].campo)`
+                    });
+                }
+            });
+        }
+
+        return problems;
+    }
+
+    getDepartments(step) {
+        if (step.type === 'action' && step.action === 'transfer_department') {
+            return [{ field: 'department_id', departmentId: step.department_id }];
+        }
+
+        const departments = [];
+
+        if (step.type === 'menu') {
+            step.options.forEach((option, index) => {
+                if (option.action === 'transfer_department') {
+                    departments.push({ field: `options.${index}.target`, departmentId: option.target });
+                }
+            });
+        }
+
+        if (step.type === 'switch') {
+            step.cases.forEach((switchCase, index) => {
+                if (switchCase.department_keywords !== undefined) {
+                    departments.push({
+                        field: `cases.${index}.department_keywords`,
+                        departmentId: switchCase.department_keywords
+                    });
+                }
+            });
+        }
+
+        return departments;
+    }
+
+    isTransfer(step) {
+        if (step.type === 'action') {
+            return TRANSFER_ACTIONS.includes(step.action);
+        }
+
+        return step.type === 'menu' && step.options.some(option => TRANSFER_ACTIONS.includes(option.action));
+    }
+
+    // ============================================
+    // ANÁLISE DO GRAFO
+    // ============================================
+
+    // Steps alcançáveis a partir do primeiro step do fluxo
+    findReachable(graph) {
+        const reachable = new Set([0]);
+        const pending = [0];
+
+        while (pending.length > 0) {
+            graph[pending.pop()].edges.forEach((index) => {
+                if (!reachable.has(index)) {
+                    reachable.add(index);
+                    pending.push(index);
+                }
+            });
+        }
+
+        return reachable;
+    }
+
+    // Steps que têm algum caminho até uma saída do fluxo
+    findExiting(graph) {
+        const exiting = new Set(graph.filter(node => node.exit).map(node => node.index));
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+            graph.forEach((node) => {
+                if (!exiting.has(node.index) && node.edges.some(index => exiting.has(index))) {
+                    exiting.add(node.index);
+                    changed = true;
+                }
+            });
+        }
+
+        return exiting;
+    }
+
+    // Ciclos formados só por steps automáticos: o bot ficaria respondendo a si mesmo para sempre
+    findAutoLoops(graph) {
+        const isAuto = node => !this.isTransfer(node.step) && (AUTO_ADVANCE_TYPES.includes(node.step.type) ||
+            (node.step.type === 'switch' && !node.step.message));
+        const state = new Map();
+        const cycles = [];
+
+        const visit = (index, stack) => {
+            state.set(index, 'visiting');
+            stack.push(index);
+
+            graph[index].edges.filter(next => isAuto(graph[next])).forEach((next) => {
+                if (state.get(next) === 'visiting') {
+                    cycles.push(stack.slice(stack.indexOf(next)));
+                } else if (!state.has(next)) {
+                    visit(next, stack);
+                }
+            });
+
+            stack.pop();
+            state.set(index, 'done');
+        };
+
+        graph.filter(isAuto).forEach((node) => {
+            if (!state.has(node.index)) {
+                visit(node.index, []);
+            }
+        });
+
+        return cycles;
+    }
+}
+
+module.exports = new FlowValidator();
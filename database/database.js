@@ -73,16 +73,307 @@ class DatabaseManager {
             )
         `);
 
+        // Colunas de atendimento humano
+        this.addColumnIfMissing('sessions', 'needs_human', 'BOOLEAN DEFAULT 0');
+        this.addColumnIfMissing('sessions', 'assigned_agent', 'VARCHAR(100)');
+        this.addColumnIfMissing('sessions', 'handoff_at', 'DATETIME');
+
+        // Tabela de estado dos fluxos (sobrevive a restarts e reloads)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS flow_states (
+                phone VARCHAR(50) PRIMARY KEY,
+                current_flow VARCHAR(100) NOT NULL,
+                step_id VARCHAR(100) NOT NULL,
+                current_step INTEGER DEFAULT 0,
+                flow_version VARCHAR(64),
+                data TEXT,
+                retry_count INTEGER DEFAULT 0,
+                history TEXT,
+                waiting_input BOOLEAN DEFAULT 0,
+                extra TEXT,
+                started_at DATETIME,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Tabela de filas por departamento
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS department_queue (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                phone VARCHAR(50) NOT NULL,
+                session_id VARCHAR(100),
+                department_id INTEGER NOT NULL,
+                priority VARCHAR(10) DEFAULT 'normal',
+                status VARCHAR(20) DEFAULT 'waiting',
+                sort_order INTEGER DEFAULT 0,
+                last_notified_position INTEGER,
+                enqueued_at DATETIME NOT NULL,
+                served_at DATETIME,
+                served_by VARCHAR(100)
+            )
+        `);
+
+        // Pedidos de retorno (departamento fora do horário)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS callback_requests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                phone VARCHAR(50) NOT NULL,
+                name VARCHAR(100),
+                department_id INTEGER,
+                data TEXT,
+                status VARCHAR(20) DEFAULT 'pending',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                handled_at DATETIME,
+                handled_by VARCHAR(100)
+            )
+        `);
+
+        // Mensagens recebidas fora do horário, agrupadas por contato
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS pending_contacts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                phone VARCHAR(50) NOT NULL,
+                name VARCHAR(100),
+                messages TEXT NOT NULL,
+                department_id INTEGER,
+                status VARCHAR(20) DEFAULT 'pending',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                delivered_at DATETIME
+            )
+        `);
+
+        // Fila de saída: toda mensagem enviada passa por aqui
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS outbound_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                phone VARCHAR(50) NOT NULL,
+                body TEXT NOT NULL,
+                source VARCHAR(30) DEFAULT 'bot',
+                status VARCHAR(20) DEFAULT 'queued',
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER DEFAULT 5,
+                next_attempt_at INTEGER NOT NULL,
+                last_error TEXT,
+                wa_message_id VARCHAR(150),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                sent_at DATETIME,
+                acked_at DATETIME
+            )
+        `);
+
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_outbound_status ON outbound_messages(status, next_attempt_at);
+            CREATE INDEX IF NOT EXISTS idx_outbound_wa_id ON outbound_messages(wa_message_id);
+        `);
+
+        // Campanhas (broadcast em segundo plano)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS campaigns (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(150) NOT NULL,
+                template TEXT NOT NULL,
+                segment TEXT,
+                status VARCHAR(20) DEFAULT 'scheduled',
+                scheduled_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                started_at DATETIME,
+                finished_at DATETIME
+            )
+        `);
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS campaign_recipients (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                campaign_id INTEGER NOT NULL,
+                phone VARCHAR(50) NOT NULL,
+                name VARCHAR(100),
+                status VARCHAR(20) DEFAULT 'pending',
+                message TEXT,
+                outbound_id INTEGER,
+                error TEXT,
+                processed_at DATETIME
+            )
+        `);
+
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_campaign_recipients ON campaign_recipients(campaign_id, status);
+        `);
+
+        // Anexos recebidos (arquivo em disco pelo hash do conteúdo)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS attachments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                conversation_id INTEGER NOT NULL,
+                phone VARCHAR(50) NOT NULL,
+                type VARCHAR(20) NOT NULL,
+                mimetype VARCHAR(100),
+                filename VARCHAR(255),
+                size INTEGER,
+                sha256 VARCHAR(64),
+                path VARCHAR(255),
+                latitude REAL,
+                longitude REAL,
+                description TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_attachments_conversation ON attachments(conversation_id)
+        `);
+
+        // Biblioteca de mídia para envio (flows, campanhas e envio manual)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS media_library (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(255) NOT NULL,
+                path VARCHAR(255) NOT NULL,
+                mimetype VARCHAR(100) NOT NULL,
+                size INTEGER NOT NULL,
+                sha256 VARCHAR(64) NOT NULL UNIQUE,
+                tags TEXT DEFAULT '[]',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Consentimento (LGPD): situação atual e histórico de alterações
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS consent (
+                phone VARCHAR(50) PRIMARY KEY,
+                status VARCHAR(20) NOT NULL,
+                source VARCHAR(30) NOT NULL,
+                channel VARCHAR(20) DEFAULT 'whatsapp',
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS consent_audit (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                phone VARCHAR(50) NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                source VARCHAR(30) NOT NULL,
+                channel VARCHAR(20) DEFAULT 'whatsapp',
+                note TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Webhooks de eventos e o registro de cada entrega (fila com retry)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                url TEXT NOT NULL,
+                secret VARCHAR(100) NOT NULL,
+                events TEXT NOT NULL DEFAULT '["*"]',
+                description VARCHAR(255),
+                active INTEGER DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                webhook_id INTEGER NOT NULL,
+                event VARCHAR(50) NOT NULL,
+                payload TEXT NOT NULL,
+                status VARCHAR(20) DEFAULT 'queued',
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER DEFAULT 6,
+                next_attempt_at INTEGER NOT NULL,
+                response_status INTEGER,
+                last_error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                delivered_at DATETIME
+            )
+        `);
+
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, next_attempt_at);
+            CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id);
+        `);
+
+        // Rastreamento de entrega das mensagens enviadas
+        this.addColumnIfMissing('conversations', 'outbound_id', 'INTEGER');
+        this.addColumnIfMissing('conversations', 'wa_message_id', 'VARCHAR(150)');
+        this.addColumnIfMissing('conversations', 'ack_status', 'VARCHAR(20)');
+        this.addColumnIfMissing('conversations', 'ack_at', 'DATETIME');
+
+        // Mensagens de grupo: número do participante que escreveu
+        this.addColumnIfMissing('conversations', 'author', 'VARCHAR(50)');
+        this.addColumnIfMissing('outbound_messages', 'mentions', 'TEXT');
+
+        // Envio de mídia pela fila: { mediaId } da biblioteca ou { url }
+        this.addColumnIfMissing('outbound_messages', 'media', 'TEXT');
+        this.addColumnIfMissing('campaigns', 'media_id', 'INTEGER');
+
+        // Texto transcrito dos áudios recebidos
+        this.addColumnIfMissing('attachments', 'transcript', 'TEXT');
+
         console.log('✅ Database initialized successfully');
     }
 
-    // Salvar conversa
-    saveConversation(phone, message, sender, sentiment = null, departmentId = null, sessionId = null) {
+    // Migração simples: adicionar coluna em tabelas já existentes
+    addColumnIfMissing(table, column, definition) {
+        const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+        if (!columns.some(c => c.name === column)) {
+            this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
+    // Salvar conversa (delivery: outboundId, waMessageId e ackStatus das mensagens enviadas)
+    saveConversation(phone, message, sender, sentiment = null, departmentId = null, sessionId = null, delivery = {}) {
         const stmt = this.db.prepare(`
-            INSERT INTO conversations (phone, message, sender, sentiment, department_id, session_id)
-            VALUES (?, ?, ?, ?, ?, ?)
+            INSERT INTO conversations (
+                phone, message, sender, sentiment, department_id, session_id,
+                outbound_id, wa_message_id, ack_status, author
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
-        return stmt.run(phone, message, sender, sentiment, departmentId, sessionId);
+        return stmt.run(
+            phone,
+            message,
+            sender,
+            sentiment,
+            departmentId,
+            sessionId,
+            delivery.outboundId || null,
+            delivery.waMessageId || null,
+            delivery.ackStatus || null,
+            delivery.author || null
+        );
+    }
+
+    // Mensagem da fila enviada: registra o id do WhatsApp na conversa
+    setConversationDelivery(outboundId, fields) {
+        return this.db.prepare(`
+            UPDATE conversations
+            SET wa_message_id = COALESCE(?, wa_message_id), ack_status = ?, ack_at = CURRENT_TIMESTAMP
+            WHERE outbound_id = ?
+        `).run(fields.waMessageId || null, fields.ackStatus, outboundId);
+    }
+
+    // Atualiza o ACK sem regredir (ex.: "read" não volta para "delivered")
+    updateConversationAck(waMessageId, ackStatus, previousStatuses) {
+        const placeholders = previousStatuses.map(() => '?').join(', ');
+        return this.db.prepare(`
+            UPDATE conversations
+            SET ack_status = ?, ack_at = CURRENT_TIMESTAMP
+            WHERE wa_message_id = ? AND (ack_status IS NULL OR ack_status IN (${placeholders}))
+        `).run(ackStatus, waMessageId, ...previousStatuses);
+    }
+
+    // Mensagem criada pelo bot que já passou pela fila de saída
+    isOutboundMessage(waMessageId, phone, body) {
+        return Boolean(this.db.prepare(`
+            SELECT 1 FROM outbound_messages
+            WHERE wa_message_id = ? OR (phone = ? AND body = ? AND status = 'sending')
+            LIMIT 1
+        `).get(waMessageId, phone, body));
     }
 
     // Buscar histórico de conversa
@@ -177,6 +468,695 @@ class DatabaseManager {
         return stmt.run(sessionId);
     }
 
+    updateSessionHandoff(sessionId, needsHuman, assignedAgent = null) {
+        const stmt = this.db.prepare(`
+            UPDATE sessions
+            SET needs_human = ?, assigned_agent = ?,
+                handoff_at = CASE WHEN ? = 1 THEN COALESCE(handoff_at, CURRENT_TIMESTAMP) ELSE handoff_at END
+            WHERE session_id = ?
+        `);
+        const flag = needsHuman ? 1 : 0;
+        return stmt.run(flag, assignedAgent, flag, sessionId);
+    }
+
+    // Estado dos fluxos
+    saveFlowState(phone, state) {
+        const stmt = this.db.prepare(`
+            INSERT OR REPLACE INTO flow_states
+            (phone, current_flow, step_id, current_step, flow_version, data, retry_count, history, waiting_input, extra, started_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `);
+        return stmt.run(
+            phone,
+            state.currentFlow,
+            state.stepId,
+            state.currentStep || 0,
+            state.flowVersion || null,
+            JSON.stringify(state.data || {}),
+            state.retryCount || 0,
+            JSON.stringify(state.history || []),
+            state.waitingInput ? 1 : 0,
+            JSON.stringify(state.extra || {}),
+            state.startedAt ? new Date(state.startedAt).toISOString() : null
+        );
+    }
+
+    getFlowState(phone) {
+        const row = this.db.prepare('SELECT * FROM flow_states WHERE phone = ?').get(phone);
+        if (!row) {
+            return null;
+        }
+
+        // Linha corrompida não pode derrubar o atendimento: descarta e o contato recomeça o fluxo
+        let data, history, extra;
+        try {
+            data = JSON.parse(row.data || '{}');
+            history = JSON.parse(row.history || '[]');
+            extra = JSON.parse(row.extra || '{}');
+        } catch (error) {
+            console.error(`⚠️ Discarding corrupted flow state for ${phone}: ${error.message}`);
+            this.deleteFlowState(phone);
+            return null;
+        }
+
+        return {
+            phone: row.phone,
+            currentFlow: row.current_flow,
+            stepId: row.step_id,
+            currentStep: row.current_step,
+            flowVersion: row.flow_version,
+            data: data,
+            retryCount: row.retry_count,
+            history: history,
+            waitingInput: row.waiting_input === 1,
+            extra: extra,
+            startedAt: row.started_at ? new Date(row.started_at).getTime() : Date.now()
+        };
+    }
+
+    deleteFlowState(phone) {
+        return this.db.prepare('DELETE FROM flow_states WHERE phone = ?').run(phone);
+    }
+
+    countFlowStates() {
+        return this.db.prepare('SELECT COUNT(*) as count FROM flow_states').get().count;
+    }
+
+    // Filas por departamento
+    addQueueEntry(entry) {
+        const stmt = this.db.prepare(`
+            INSERT INTO department_queue (phone, session_id, department_id, priority, sort_order, enqueued_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        return stmt.run(
+            entry.phone,
+            entry.sessionId,
+            entry.departmentId,
+            entry.priority,
+            entry.sortOrder,
+            new Date().toISOString()
+        );
+    }
+
+    getQueueEntry(id) {
+        return this.db.prepare('SELECT * FROM department_queue WHERE id = ?').get(id);
+    }
+
+    getWaitingQueueEntryByPhone(phone) {
+        return this.db.prepare(`
+            SELECT * FROM department_queue WHERE phone = ? AND status = 'waiting'
+        `).get(phone);
+    }
+
+    getWaitingQueue(departmentId) {
+        return this.db.prepare(`
+            SELECT * FROM department_queue
+            WHERE department_id = ? AND status = 'waiting'
+            ORDER BY sort_order ASC, id ASC
+        `).all(departmentId);
+    }
+
+    updateQueueEntry(id, fields) {
+        const columns = Object.keys(fields);
+        const assignments = columns.map(c => `${c} = ?`).join(', ');
+        const stmt = this.db.prepare(`UPDATE department_queue SET ${assignments} WHERE id = ?`);
+        return stmt.run(...columns.map(c => fields[c]), id);
+    }
+
+    // Pedidos de retorno
+    addCallbackRequest(request) {
+        const stmt = this.db.prepare(`
+            INSERT INTO callback_requests (phone, name, department_id, data)
+            VALUES (?, ?, ?, ?)
+        `);
+        return stmt.run(request.phone, request.name, request.departmentId, JSON.stringify(request.data || {}));
+    }
+
+    getCallbackRequests(status = 'pending', limit = 100) {
+        return this.db.prepare(`
+            SELECT * FROM callback_requests
+            WHERE status = ?
+            ORDER BY created_at ASC
+            LIMIT ?
+        `).all(status, limit).map(row => ({ ...row, data: JSON.parse(row.data || '{}') }));
+    }
+
+    completeCallbackRequest(id, agent) {
+        return this.db.prepare(`
+            UPDATE callback_requests
+            SET status = 'done', handled_at = CURRENT_TIMESTAMP, handled_by = ?
+            WHERE id = ? AND status = 'pending'
+        `).run(agent || null, id);
+    }
+
+    // Contatos pendentes (fora do horário)
+    addPendingContact(contact) {
+        const stmt = this.db.prepare(`
+            INSERT INTO pending_contacts (phone, name, messages)
+            VALUES (?, ?, ?)
+        `);
+        return stmt.run(contact.phone, contact.name, JSON.stringify(contact.messages));
+    }
+
+    getPendingContactByPhone(phone) {
+        const row = this.db.prepare(`
+            SELECT * FROM pending_contacts WHERE phone = ? AND status = 'pending'
+        `).get(phone);
+        return row ? { ...row, messages: JSON.parse(row.messages) } : null;
+    }
+
+    getPendingContacts(status = 'pending', limit = 100) {
+        return this.db.prepare(`
+            SELECT * FROM pending_contacts
+            WHERE status = ?
+            ORDER BY created_at ASC, id ASC
+            LIMIT ?
+        `).all(status, limit).map(row => ({ ...row, messages: JSON.parse(row.messages) }));
+    }
+
+    appendPendingMessage(id, messages) {
+        return this.db.prepare(`
+            UPDATE pending_contacts SET messages = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(JSON.stringify(messages), id);
+    }
+
+    markPendingContactDelivered(id, departmentId) {
+        return this.db.prepare(`
+            UPDATE pending_contacts
+            SET status = 'delivered', department_id = ?, delivered_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(departmentId, id);
+    }
+
+    // Fila de saída
+    addOutboundMessage(message) {
+        const stmt = this.db.prepare(`
+            INSERT INTO outbound_messages (phone, body, source, max_attempts, next_attempt_at, mentions, media)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        return stmt.run(
+            message.phone,
+            message.body,
+            message.source,
+            message.maxAttempts,
+            Date.now(),
+            message.mentions ? JSON.stringify(message.mentions) : null,
+            message.media ? JSON.stringify(message.media) : null
+        );
+    }
+
+    getOutboundMessage(id) {
+        return this.db.prepare('SELECT * FROM outbound_messages WHERE id = ?').get(id);
+    }
+
+    // Só a mensagem mais antiga de cada destinatário, para manter a ordem de envio
+    getDueOutboundMessages(now, limit = 50) {
+        return this.db.prepare(`
+            SELECT * FROM outbound_messages o
+            WHERE status = 'queued'
+              AND next_attempt_at <= ?
+              AND id = (
+                  SELECT MIN(id) FROM outbound_messages
+                  WHERE phone = o.phone AND status IN ('queued', 'sending')
+              )
+            ORDER BY id ASC
+            LIMIT ?
+        `).all(now, limit);
+    }
+
+    getOutboundMessages(status = null, limit = 100) {
+        if (status) {
+            return this.db.prepare(`
+                SELECT * FROM outbound_messages WHERE status = ? ORDER BY id DESC LIMIT ?
+            `).all(status, limit);
+        }
+        return this.db.prepare('SELECT * FROM outbound_messages ORDER BY id DESC LIMIT ?').all(limit);
+    }
+
+    updateOutboundMessage(id, fields) {
+        const columns = Object.keys(fields);
+        const assignments = columns.map(c => `${c} = ?`).join(', ');
+        const stmt = this.db.prepare(`UPDATE outbound_messages SET ${assignments} WHERE id = ?`);
+        return stmt.run(...columns.map(c => fields[c]), id);
+    }
+
+    // Envios interrompidos (queda do processo) voltam para a fila
+    requeueInterruptedOutbound() {
+        return this.db.prepare(`
+            UPDATE outbound_messages SET status = 'queued' WHERE status = 'sending'
+        `).run();
+    }
+
+    markOutboundAcked(waMessageId) {
+        return this.db.prepare(`
+            UPDATE outbound_messages
+            SET status = 'acked', acked_at = CURRENT_TIMESTAMP
+            WHERE wa_message_id = ? AND status = 'sent'
+        `).run(waMessageId);
+    }
+
+    getOutboundStats() {
+        const rows = this.db.prepare(`
+            SELECT status, COUNT(*) as count FROM outbound_messages GROUP BY status
+        `).all();
+        const stats = { queued: 0, sending: 0, sent: 0, failed: 0, acked: 0 };
+        rows.forEach((row) => {
+            stats[row.status] = row.count;
+        });
+        return stats;
+    }
+
+    // Entrega/leitura das mensagens de uma origem (ex.: broadcast) desde uma data
+    getDeliveryStats(source, since) {
+        return this.db.prepare(`
+            SELECT
+                COUNT(*) as total,
+                COALESCE(SUM(o.status IN ('sent', 'acked')), 0) as sent,
+                COALESCE(SUM(c.ack_status IN ('delivered', 'read')), 0) as delivered,
+                COALESCE(SUM(c.ack_status = 'read'), 0) as read,
+                COALESCE(SUM(o.status = 'failed'), 0) as failed
+            FROM outbound_messages o
+            LEFT JOIN conversations c ON c.outbound_id = o.id
+            WHERE o.source = ? AND o.created_at > datetime(?, 'unixepoch')
+        `).get(source, Math.floor(since / 1000));
+    }
+
+    // Campanhas
+    createCampaign(campaign, recipients) {
+        const insertCampaign = this.db.prepare(`
+            INSERT INTO campaigns (name, template, segment, status, scheduled_at, media_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        const insertRecipient = this.db.prepare(`
+            INSERT INTO campaign_recipients (campaign_id, phone, name) VALUES (?, ?, ?)
+        `);
+
+        const create = this.db.transaction(() => {
+            const result = insertCampaign.run(
+                campaign.name,
+                campaign.template,
+                JSON.stringify(campaign.segment || null),
+                campaign.status,
+                campaign.scheduledAt,
+                campaign.mediaId || null
+            );
+            recipients.forEach(r => insertRecipient.run(result.lastInsertRowid, r.phone, r.name || null));
+            return result.lastInsertRowid;
+        });
+
+        return create();
+    }
+
+    getCampaign(id) {
+        const row = this.db.prepare('SELECT * FROM campaigns WHERE id = ?').get(id);
+        return row ? { ...row, segment: JSON.parse(row.segment) } : null;
+    }
+
+    getCampaigns(limit = 50) {
+        return this.db.prepare('SELECT * FROM campaigns ORDER BY id DESC LIMIT ?').all(limit)
+            .map(row => ({ ...row, segment: JSON.parse(row.segment) }));
+    }
+
+    getCampaignsByStatus(status) {
+        return this.db.prepare('SELECT * FROM campaigns WHERE status = ? ORDER BY id ASC').all(status);
+    }
+
+    updateCampaign(id, fields) {
+        const columns = Object.keys(fields);
+        const assignments = columns.map(c => `${c} = ?`).join(', ');
+        const stmt = this.db.prepare(`UPDATE campaigns SET ${assignments} WHERE id = ?`);
+        return stmt.run(...columns.map(c => fields[c]), id);
+    }
+
+    getCampaignRecipients(campaignId, status = null, limit = 100) {
+        if (status) {
+            return this.db.prepare(`
+                SELECT * FROM campaign_recipients WHERE campaign_id = ? AND status = ? ORDER BY id ASC LIMIT ?
+            `).all(campaignId, status, limit);
+        }
+        return this.db.prepare(`
+            SELECT * FROM campaign_recipients WHERE campaign_id = ? ORDER BY id ASC LIMIT ?
+        `).all(campaignId, limit);
+    }
+
+    updateCampaignRecipient(id, fields) {
+        const columns = Object.keys(fields);
+        const assignments = columns.map(c => `${c} = ?`).join(', ');
+        const stmt = this.db.prepare(`UPDATE campaign_recipients SET ${assignments} WHERE id = ?`);
+        return stmt.run(...columns.map(c => fields[c]), id);
+    }
+
+    // Traz o resultado da fila de saída para os destinatários já enfileirados
+    syncCampaignRecipients(campaignId) {
+        return this.db.prepare(`
+            UPDATE campaign_recipients
+            SET status = (
+                    SELECT CASE WHEN o.status = 'failed' THEN 'failed' ELSE 'sent' END
+                    FROM outbound_messages o WHERE o.id = campaign_recipients.outbound_id
+                ),
+                error = (SELECT o.last_error FROM outbound_messages o WHERE o.id = campaign_recipients.outbound_id),
+                processed_at = CURRENT_TIMESTAMP
+            WHERE campaign_id = ? AND status = 'queued' AND outbound_id IN (
+                SELECT id FROM outbound_messages WHERE status IN ('sent', 'acked', 'failed')
+            )
+        `).run(campaignId);
+    }
+
+    getCampaignProgress(campaignId) {
+        const rows = this.db.prepare(`
+            SELECT status, COUNT(*) as count FROM campaign_recipients WHERE campaign_id = ? GROUP BY status
+        `).all(campaignId);
+        const progress = { total: 0, pending: 0, queued: 0, sent: 0, failed: 0, skipped: 0, cancelled: 0 };
+        rows.forEach((row) => {
+            progress[row.status] = row.count;
+            progress.total += row.count;
+        });
+        return progress;
+    }
+
+    // Cancela os pendentes e tira da fila de saída o que ainda não saiu
+    cancelCampaignRecipients(campaignId) {
+        const cancel = this.db.transaction(() => {
+            this.db.prepare(`
+                UPDATE outbound_messages SET status = 'cancelled'
+                WHERE status = 'queued' AND id IN (
+                    SELECT outbound_id FROM campaign_recipients WHERE campaign_id = ? AND status = 'queued'
+                )
+            `).run(campaignId);
+            this.db.prepare(`
+                UPDATE conversations SET ack_status = 'cancelled'
+                WHERE outbound_id IN (
+                    SELECT id FROM outbound_messages WHERE status = 'cancelled'
+                ) AND ack_status = 'queued'
+            `).run();
+            this.db.prepare(`
+                UPDATE campaign_recipients SET status = 'cancelled', processed_at = CURRENT_TIMESTAMP
+                WHERE campaign_id = ? AND (status = 'pending' OR (status = 'queued' AND outbound_id IN (
+                    SELECT id FROM outbound_messages WHERE status = 'cancelled'
+                )))
+            `).run(campaignId);
+        });
+
+        return cancel();
+    }
+
+    // Contatos de um segmento (filtros sobre user_context)
+    getSegmentContacts(segment = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (segment.last_department) {
+            conditions.push('last_department = ?');
+            params.push(segment.last_department);
+        }
+
+        if (segment.active_days) {
+            conditions.push('last_interaction >= datetime(\'now\', ?)');
+            params.push(`-${parseInt(segment.active_days)} days`);
+        }
+
+        if (segment.min_interactions) {
+            conditions.push('interaction_count >= ?');
+            params.push(segment.min_interactions);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return this.db.prepare(`SELECT phone, name FROM user_context ${where}`).all(...params);
+    }
+
+    // Anexos
+    addAttachment(attachment) {
+        const stmt = this.db.prepare(`
+            INSERT INTO attachments (
+                conversation_id, phone, type, mimetype, filename, size, sha256, path,
+                latitude, longitude, description, transcript
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        return stmt.run(
+            attachment.conversationId,
+            attachment.phone,
+            attachment.type,
+            attachment.mimetype || null,
+            attachment.filename || null,
+            attachment.size || null,
+            attachment.sha256 || null,
+            attachment.path || null,
+            attachment.latitude ?? null,
+            attachment.longitude ?? null,
+            attachment.description || null,
+            attachment.transcript || null
+        );
+    }
+
+    getAttachment(id) {
+        return this.db.prepare('SELECT * FROM attachments WHERE id = ?').get(id);
+    }
+
+    getAttachmentsByConversations(conversationIds) {
+        if (conversationIds.length === 0) {
+            return [];
+        }
+
+        const placeholders = conversationIds.map(() => '?').join(', ');
+        return this.db.prepare(`
+            SELECT * FROM attachments WHERE conversation_id IN (${placeholders}) ORDER BY id
+        `).all(...conversationIds);
+    }
+
+    // Biblioteca de mídia
+    addMediaItem(item) {
+        const stmt = this.db.prepare(`
+            INSERT INTO media_library (name, path, mimetype, size, sha256, tags) VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        return stmt.run(item.name, item.path, item.mimetype, item.size, item.sha256, JSON.stringify(item.tags || []));
+    }
+
+    getMediaItem(id) {
+        const row = this.db.prepare('SELECT * FROM media_library WHERE id = ?').get(id);
+        return row ? { ...row, tags: JSON.parse(row.tags) } : null;
+    }
+
+    getMediaItemBySha(sha256) {
+        const row = this.db.prepare('SELECT * FROM media_library WHERE sha256 = ?').get(sha256);
+        return row ? { ...row, tags: JSON.parse(row.tags) } : null;
+    }
+
+    // Filtros opcionais: tag e tipo ("image", "application/pdf"...)
+    getMediaItems(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.tag) {
+            conditions.push('EXISTS (SELECT 1 FROM json_each(media_library.tags) WHERE value = ?)');
+            params.push(filters.tag);
+        }
+
+        if (filters.type) {
+            conditions.push('mimetype LIKE ?');
+            params.push(filters.type.includes('/') ? filters.type : `${filters.type}/%`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        return this.db.prepare(`SELECT * FROM media_library ${where} ORDER BY id DESC LIMIT ?`)
+            .all(...params, filters.limit || 100)
+            .map(row => ({ ...row, tags: JSON.parse(row.tags) }));
+    }
+
+    updateMediaItem(id, fields) {
+        const values = { ...fields };
+        if (values.tags) {
+            values.tags = JSON.stringify(values.tags);
+        }
+
+        const columns = Object.keys(values);
+        const assignments = columns.map(c => `${c} = ?`).join(', ');
+        const stmt = this.db.prepare(`
+            UPDATE media_library SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `);
+        return stmt.run(...columns.map(c => values[c]), id);
+    }
+
+    deleteMediaItem(id) {
+        return this.db.prepare('DELETE FROM media_library WHERE id = ?').run(id);
+    }
+
+    // Campanhas ainda ativas que usam a mídia
+    getActiveCampaignsByMedia(mediaId) {
+        return this.db.prepare(`
+            SELECT id, name, status FROM campaigns
+            WHERE media_id = ? AND status IN ('scheduled', 'running', 'paused')
+        `).all(mediaId);
+    }
+
+    // Consentimento
+    setConsent(entry) {
+        const upsert = this.db.prepare(`
+            INSERT INTO consent (phone, status, source, channel, updated_at)
+            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(phone) DO UPDATE SET
+                status = excluded.status,
+                source = excluded.source,
+                channel = excluded.channel,
+                updated_at = CURRENT_TIMESTAMP
+        `);
+        const audit = this.db.prepare(`
+            INSERT INTO consent_audit (phone, status, source, channel, note) VALUES (?, ?, ?, ?, ?)
+        `);
+
+        const save = this.db.transaction((entries) => {
+            entries.forEach((e) => {
+                const channel = e.channel || 'whatsapp';
+                upsert.run(e.phone, e.status, e.source, channel);
+                audit.run(e.phone, e.status, e.source, channel, e.note || null);
+            });
+            return entries.length;
+        });
+
+        return save(Array.isArray(entry) ? entry : [entry]);
+    }
+
+    getConsent(phone) {
+        return this.db.prepare('SELECT * FROM consent WHERE phone = ?').get(phone);
+    }
+
+    getConsentHistory(phone) {
+        return this.db.prepare(`
+            SELECT * FROM consent_audit WHERE phone = ? ORDER BY id DESC
+        `).all(phone);
+    }
+
+    getConsents(status = null, limit = 100) {
+        if (status) {
+            return this.db.prepare(`
+                SELECT * FROM consent WHERE status = ? ORDER BY updated_at DESC LIMIT ?
+            `).all(status, limit);
+        }
+        return this.db.prepare('SELECT * FROM consent ORDER BY updated_at DESC LIMIT ?').all(limit);
+    }
+
+    // Webhooks
+    createWebhook(webhook) {
+        return this.db.prepare(`
+            INSERT INTO webhooks (url, secret, events, description, active)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(
+            webhook.url,
+            webhook.secret,
+            JSON.stringify(webhook.events),
+            webhook.description || null,
+            webhook.active === false ? 0 : 1
+        ).lastInsertRowid;
+    }
+
+    getWebhook(id) {
+        return this.db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+    }
+
+    getWebhookByUrl(url) {
+        return this.db.prepare('SELECT * FROM webhooks WHERE url = ?').get(url);
+    }
+
+    getWebhooks() {
+        return this.db.prepare('SELECT * FROM webhooks ORDER BY id ASC').all();
+    }
+
+    updateWebhook(id, fields) {
+        const columns = Object.keys(fields);
+        const assignments = columns.map(c => `${c} = ?`).join(', ');
+        const stmt = this.db.prepare(`UPDATE webhooks SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`);
+        return stmt.run(...columns.map(c => fields[c]), id);
+    }
+
+    // Remove o webhook junto com o registro de entregas
+    deleteWebhook(id) {
+        return this.db.transaction(() => {
+            this.db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+            return this.db.prepare('DELETE FROM webhooks WHERE id = ?').run(id);
+        })();
+    }
+
+    addWebhookDelivery(delivery) {
+        return this.db.prepare(`
+            INSERT INTO webhook_deliveries (webhook_id, event, payload, max_attempts, next_attempt_at)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(
+            delivery.webhookId,
+            delivery.event,
+            JSON.stringify(delivery.payload),
+            delivery.maxAttempts,
+            Date.now()
+        ).lastInsertRowid;
+    }
+
+    getWebhookDelivery(id) {
+        return this.db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+    }
+
+    getDueWebhookDeliveries(now, limit = 20) {
+        return this.db.prepare(`
+            SELECT * FROM webhook_deliveries
+            WHERE status = 'queued' AND next_attempt_at <= ?
+            ORDER BY id ASC
+            LIMIT ?
+        `).all(now, limit);
+    }
+
+    getWebhookDeliveries(webhookId, status = null, limit = 100) {
+        if (status) {
+            return this.db.prepare(`
+                SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND status = ? ORDER BY id DESC LIMIT ?
+            `).all(webhookId, status, limit);
+        }
+        return this.db.prepare(`
+            SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?
+        `).all(webhookId, limit);
+    }
+
+    updateWebhookDelivery(id, fields) {
+        const columns = Object.keys(fields);
+        const assignments = columns.map(c => `${c} = ?`).join(', ');
+        const stmt = this.db.prepare(`UPDATE webhook_deliveries SET ${assignments} WHERE id = ?`);
+        return stmt.run(...columns.map(c => fields[c]), id);
+    }
+
+    // Entregas interrompidas (queda do processo) voltam para a fila
+    requeueInterruptedWebhookDeliveries() {
+        return this.db.prepare(`
+            UPDATE webhook_deliveries SET status = 'queued' WHERE status = 'sending'
+        `).run();
+    }
+
+    // Limpa do registro as entregas concluídas (entregues ou desistidas) antes da data
+    purgeWebhookDeliveries(before) {
+        return this.db.prepare(`
+            DELETE FROM webhook_deliveries
+            WHERE status IN ('delivered', 'failed') AND created_at < datetime(?, 'unixepoch')
+        `).run(Math.floor(before / 1000));
+    }
+
+    getWebhookDeliveryStats(webhookId) {
+        const rows = this.db.prepare(`
+            SELECT status, COUNT(*) as count FROM webhook_deliveries WHERE webhook_id = ? GROUP BY status
+        `).all(webhookId);
+        const stats = { queued: 0, sending: 0, delivered: 0, failed: 0 };
+        rows.forEach((row) => {
+            stats[row.status] = row.count;
+        });
+        return stats;
+    }
+
+    // Tempo médio de espera dos atendimentos das últimas 24h
+    getQueueAverageWait(departmentId) {
+        const row = this.db.prepare(`
+            SELECT AVG((julianday(served_at) - julianday(enqueued_at)) * 86400000) as avg_wait
+            FROM department_queue
+            WHERE department_id = ? AND status = 'served' AND served_at > ?
+        `).get(departmentId, new Date(Date.now() - 86400000).toISOString());
+        return row.avg_wait ? Math.round(row.avg_wait) : null;
+    }
+
     // Estatísticas gerais
     getStats() {
         const totalConversations = this.db.prepare(`SELECT COUNT(*) as count FROM conversations`).get();
@@ -13,11 +13,37 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const WhatsAppBot = require('./modules/whatsapp');
+const BusinessHours = require('./modules/business-hours');
+const MediaStore = require('./modules/media-store');
+const Simulator = require('./modules/simulator');
+const WebhookDispatcher = require('./modules/webhook-dispatcher');
+const flowValidator = require('./config/flow-validator');
 const AITrainer = require('./ai/trainer');
 const database = require('./database/database');
 const AIBrain = require('./ai/brain');
 const logger = require('./logs/logger');
 const security = require('./security/encryption');
+const SecurityMiddlewares = require('./security/middlewares');
+
+// Eventos do bot repassados ao dashboard via Socket.IO
+const BOT_EVENTS = [
+    'session-started',
+    'session-closed',
+    'handoff-requested',
+    'handoff-claimed',
+    'handoff-message',
+    'handoff-reply',
+    'handoff-released',
+    'queue-updated',
+    'callback-requested',
+    'offline-captured',
+    'offline-delivered',
+    'outbound-failed',
+    'webhook-failed',
+    'flow-triggered',
+    'campaign-progress',
+    'consent-changed'
+];
 
 // ============================================
 // CONFIGURAÇÃO E INICIALIZAÇÃO
@@ -78,6 +104,9 @@ class BotServer {
             const ConfigManager = require('./config/config-manager');
             this.configManager = ConfigManager;
 
+            // Simulador de fluxos (não depende do WhatsApp conectado)
+            this.simulator = new Simulator(this);
+
             logger.info('✅ Configuration loaded successfully');
         } catch (error) {
             logger.error('Error loading configuration:', error);
@@ -226,7 +255,12 @@ class BotServer {
                 const phone = req.params.phone;
                 const limit = parseInt(req.query.limit) || 50;
 
-                const conversations = database.getConversationHistory(phone, limit);
+                const history = database.getConversationHistory(phone, limit);
+                const attachments = database.getAttachmentsByConversations(history.map(c => c.id));
+                const conversations = history.map(conversation => ({
+                    ...conversation,
+                    attachments: attachments.filter(a => a.conversation_id === conversation.id)
+                }));
                 const userContext = database.getUserContext(phone);
 
                 res.json({
@@ -243,6 +277,29 @@ class BotServer {
             }
         });
 
+        // Arquivo de um anexo recebido
+        router.get('/attachments/:id/file', (req, res) => {
+            try {
+                const attachment = database.getAttachment(parseInt(req.params.id));
+
+                if (!attachment || !attachment.path || !this.whatsappBot) {
+                    return res.status(404).json({ success: false, error: 'Arquivo não encontrado' });
+                }
+
+                const filePath = this.whatsappBot.media.resolvePath(attachment.path);
+
+                if (!filePath || !fs.existsSync(filePath)) {
+                    return res.status(404).json({ success: false, error: 'Arquivo não encontrado' });
+                }
+
+                this.sendMediaFile(res, filePath, attachment.mimetype, attachment.filename);
+            } catch (error) {
+                logger.error('Error getting attachment:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
         // ============ TREINAMENTO IA ============
         router.get('/training', (req, res) => {
             try {
@@ -318,30 +375,30 @@ class BotServer {
         });
 
         router.post('/config', async (req, res) => {
-    try {
-        const result = this.configManager.saveConfig(req.body);
+            try {
+                const result = this.configManager.saveConfig(req.body);
 
-        if (result.success) {
-            // Recarregar configuração do bot (HOT RELOAD!)
-            this.config = this.configManager.getConfig();
+                if (result.success) {
+                    // Recarregar configuração do bot (HOT RELOAD!)
+                    this.config = this.configManager.getConfig();
 
-            // 🔥 ATUALIZAR BOT SEM REINICIAR
-            if (this.whatsappBot && this.whatsappBot.isReady) {
-                this.whatsappBot.reloadConfig(this.config);
-                logger.info('🔥 HOT RELOAD: Bot configuration updated without restart!');
-            }
+                    // 🔥 ATUALIZAR BOT SEM REINICIAR
+                    if (this.whatsappBot && this.whatsappBot.isReady) {
+                        this.whatsappBot.reloadConfig(this.config);
+                        logger.info('🔥 HOT RELOAD: Bot configuration updated without restart!');
+                    }
 
-            // Notificar clientes
-            this.io.emit('config-updated', this.config);
-        }
+                    // Notificar clientes
+                    this.io.emit('config-updated', this.config);
+                }
 
-        res.json(result);
-    } catch (error) {
-        logger.error('Error saving config:', error);
-        this.metrics.errors++;
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
+                res.status(result.success ? 200 : result.status || 500).json(result);
+            } catch (error) {
+                logger.error('Error saving config:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
 
         router.patch('/config/mode', async (req, res) => {
             try {
@@ -369,7 +426,7 @@ class BotServer {
                     this.config = this.configManager.getConfig();
                     this.io.emit('departments-updated');
                 }
-                res.json(result);
+                res.status(result.success ? 200 : result.status || 400).json(result);
             } catch (error) {
                 this.metrics.errors++;
                 res.status(500).json({ success: false, error: error.message });
@@ -384,7 +441,7 @@ class BotServer {
                     this.config = this.configManager.getConfig();
                     this.io.emit('departments-updated');
                 }
-                res.json(result);
+                res.status(result.success ? 200 : result.status || 400).json(result);
             } catch (error) {
                 this.metrics.errors++;
                 res.status(500).json({ success: false, error: error.message });
@@ -399,7 +456,66 @@ class BotServer {
                     this.config = this.configManager.getConfig();
                     this.io.emit('departments-updated');
                 }
-                res.json(result);
+                res.status(result.success ? 200 : result.status || 400).json(result);
+            } catch (error) {
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Feriados e exceções de horário
+        router.get('/config/holidays', (req, res) => {
+            try {
+                const year = parseInt(req.query.year) || new Date().getFullYear();
+                const businessHours = this.configManager.getConfig().business_hours;
+
+                res.json({
+                    success: true,
+                    data: this.configManager.listHolidays(),
+                    national: businessHours.national_holidays === 'BR'
+                        ? BusinessHours.getBrazilianHolidays(year)
+                        : []
+                });
+            } catch (error) {
+                logger.error('Error getting holidays:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/config/holidays', (req, res) => {
+            try {
+                const result = this.configManager.addHoliday(req.body);
+                if (result.success) {
+                    this.applyBusinessHoursChange();
+                }
+                res.status(result.success ? 200 : 400).json(result);
+            } catch (error) {
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.put('/config/holidays/:id', (req, res) => {
+            try {
+                const result = this.configManager.updateHoliday(parseInt(req.params.id), req.body);
+                if (result.success) {
+                    this.applyBusinessHoursChange();
+                }
+                res.status(result.success ? 200 : 400).json(result);
+            } catch (error) {
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.delete('/config/holidays/:id', (req, res) => {
+            try {
+                const result = this.configManager.removeHoliday(parseInt(req.params.id));
+                if (result.success) {
+                    this.applyBusinessHoursChange();
+                }
+                res.status(result.success ? 200 : 404).json(result);
             } catch (error) {
                 this.metrics.errors++;
                 res.status(500).json({ success: false, error: error.message });
@@ -434,6 +550,222 @@ class BotServer {
             }
         });
 
+        // ============ FLUXOS ============
+
+        // Valida sem salvar; o que não vier no body (departments, modes) é lido da configuração atual
+        router.post('/flows/validate', (req, res) => {
+            try {
+                const result = flowValidator.validate({ ...this.configManager.getConfig(), ...req.body });
+                res.json({ success: true, data: result });
+            } catch (error) {
+                logger.error('Error validating flows:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Versão lida pelo editor: header If-Match (ETag) ou "version" no body
+        const flowVersion = req => String(req.get('If-Match') || (req.body && req.body.version) || '')
+            .replace(/^W\//, '')
+            .replace(/"/g, '');
+
+        const sendFlowResult = (res, flowId, result) => {
+            if (result.success) {
+                this.applyFlowChange(flowId);
+                if (result.data) {
+                    res.set('ETag', `"${result.data.version}"`);
+                }
+            }
+
+            res.status(result.status || 500).json(result);
+        };
+
+        router.get('/flows', (req, res) => {
+            try {
+                res.json({ success: true, data: this.configManager.listFlows() });
+            } catch (error) {
+                logger.error('Error listing flows:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/flows/:id', (req, res) => {
+            try {
+                const flow = this.configManager.getFlow(req.params.id);
+                if (!flow) {
+                    return res.status(404).json({ success: false, error: 'Fluxo não encontrado' });
+                }
+
+                res.set('ETag', `"${flow.version}"`);
+                res.json({ success: true, data: flow });
+            } catch (error) {
+                logger.error('Error getting flow:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/flows', (req, res) => {
+            try {
+                const { id, ...flow } = req.body;
+                sendFlowResult(res, id, this.configManager.createFlow(id, flow));
+            } catch (error) {
+                logger.error('Error creating flow:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.put('/flows/:id', (req, res) => {
+            try {
+                const { version: _version, ...flow } = req.body;
+                const result = this.configManager.updateFlow(req.params.id, flowVersion(req), flow);
+                sendFlowResult(res, req.params.id, result);
+            } catch (error) {
+                logger.error('Error updating flow:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.delete('/flows/:id', (req, res) => {
+            try {
+                sendFlowResult(res, req.params.id, this.configManager.deleteFlow(req.params.id, flowVersion(req)));
+            } catch (error) {
+                logger.error('Error deleting flow:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Novo step (position opcional, padrão no fim) ou reordenação com { order: [ids] }
+        router.post('/flows/:id/steps', (req, res) => {
+            try {
+                const { step, position } = req.body;
+                const result = this.configManager.addStep(req.params.id, flowVersion(req), step, position);
+                sendFlowResult(res, req.params.id, result);
+            } catch (error) {
+                logger.error('Error adding flow step:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.patch('/flows/:id/steps', (req, res) => {
+            try {
+                const result = this.configManager.reorderSteps(req.params.id, flowVersion(req), req.body.order);
+                sendFlowResult(res, req.params.id, result);
+            } catch (error) {
+                logger.error('Error reordering flow steps:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.put('/flows/:id/steps/:stepId', (req, res) => {
+            try {
+                const { version: _version, ...step } = req.body;
+                const result = this.configManager.updateStep(req.params.id, req.params.stepId, flowVersion(req), step);
+                sendFlowResult(res, req.params.id, result);
+            } catch (error) {
+                logger.error('Error updating flow step:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.delete('/flows/:id/steps/:stepId', (req, res) => {
+            try {
+                const result = this.configManager.deleteStep(req.params.id, req.params.stepId, flowVersion(req));
+                sendFlowResult(res, req.params.id, result);
+            } catch (error) {
+                logger.error('Error deleting flow step:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Inicia o fluxo para um contato (o bot envia a primeira mensagem)
+        router.post('/flows/:id/trigger', async (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const { phone, variables, step, name, force } = req.body;
+                const result = await this.whatsappBot.triggers.trigger(req.params.id, {
+                    phone: phone,
+                    variables: variables,
+                    step: step,
+                    name: name,
+                    force: force === true
+                });
+
+                res.status(result.status).json(result);
+            } catch (error) {
+                logger.error('Error triggering flow:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // ============ SIMULADOR DE FLUXOS ============
+        router.post('/simulator/sessions', (req, res) => {
+            try {
+                const { flowId, name, context } = req.body;
+                const result = this.simulator.createSession({ flowId: flowId, name: name, context: context });
+                res.status(result.status).json(result);
+            } catch (error) {
+                logger.error('Error creating simulator session:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/simulator/sessions/:id', (req, res) => {
+            try {
+                const session = this.simulator.getSession(req.params.id);
+                if (!session) {
+                    return res.status(404).json({ success: false, error: 'Sessão de simulação não encontrada' });
+                }
+
+                res.json({ success: true, data: session });
+            } catch (error) {
+                logger.error('Error getting simulator session:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/simulator/sessions/:id/messages', async (req, res) => {
+            try {
+                const { message, attachment } = req.body;
+
+                if (typeof message !== 'string' && !attachment) {
+                    return res.status(400).json({ success: false, error: 'message (ou attachment) é obrigatório' });
+                }
+
+                const result = await this.simulator.sendMessage(req.params.id, message, attachment || null);
+                res.status(result.status).json(result);
+            } catch (error) {
+                logger.error('Error sending simulator message:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.delete('/simulator/sessions/:id', (req, res) => {
+            try {
+                const result = this.simulator.deleteSession(req.params.id);
+                res.status(result.status).json(result);
+            } catch (error) {
+                logger.error('Error deleting simulator session:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
         // ============ USUÁRIOS ============
         router.get('/users', (req, res) => {
             try {
@@ -531,12 +863,16 @@ class BotServer {
                     GROUP BY department_id
                 `).all();
 
+                // Entrega e leitura dos broadcasts
+                const broadcastMetrics = this.getBroadcastMetrics(timeRange);
+
                 res.json({
                     success: true,
                     data: {
                         conversations: conversationsMetrics,
                         sentiment: sentimentMetrics,
                         departments: departmentMetrics,
+                        broadcast: broadcastMetrics,
                         server: this.metrics
                     }
                 });
@@ -550,32 +886,54 @@ class BotServer {
         // ============ ENVIAR MENSAGEM MANUAL ============
         router.post('/send-message', async (req, res) => {
             try {
-                const { phone, message } = req.body;
+                const { phone, message, mediaId } = req.body;
 
-                if (!phone || !message) {
+                if (!phone || (!message && !mediaId)) {
                     return res.status(400).json({
                         success: false,
-                        error: 'Phone and message required'
+                        error: 'Phone and message (or mediaId) required'
                     });
                 }
 
-                if (!this.whatsappBot || !this.whatsappBot.isReady) {
+                // Desconectado a mensagem fica na fila e sai na reconexão
+                if (!this.whatsappBot) {
                     return res.status(503).json({
                         success: false,
                         error: 'WhatsApp bot not ready'
                     });
                 }
 
-                const result = await this.whatsappBot.sendMessage(phone, message);
+                const chatId = WhatsAppBot.toChatId(phone);
+
+                if (!this.whatsappBot.consent.canReceive(chatId)) {
+                    return res.status(403).json({
+                        success: false,
+                        error: 'Contato não autorizou o recebimento de mensagens (opt-out)'
+                    });
+                }
+
+                // Com mediaId (só o id da biblioteca, URLs não entram pela API) a mensagem vira a legenda
+                if (mediaId) {
+                    const { media } = this.whatsappBot;
+                    const mediaError = media.checkSource(media.normalizeSource({ mediaId: mediaId }));
+                    if (mediaError) {
+                        return res.status(400).json({ success: false, error: mediaError });
+                    }
+                }
+
+                const id = mediaId
+                    ? this.whatsappBot.sendMedia(chatId, { mediaId: mediaId }, message || '', { source: 'manual' })
+                    : this.whatsappBot.sendMessage(chatId, message, { source: 'manual' });
 
-                if (result) {
+                if (id) {
                     this.metrics.messagesSent++;
-                    res.json({
+                    res.status(202).json({
                         success: true,
-                        message: 'Message sent successfully'
+                        message: 'Message queued',
+                        data: database.getOutboundMessage(id)
                     });
                 } else {
-                    throw new Error('Failed to send message');
+                    throw new Error('Failed to queue message');
                 }
             } catch (error) {
                 logger.error('Error sending message:', error);
@@ -584,41 +942,74 @@ class BotServer {
             }
         });
 
+        // ============ FILA DE SAÍDA ============
+        router.get('/outbound', (req, res) => {
+            try {
+                const limit = parseInt(req.query.limit) || 100;
+
+                res.json({
+                    success: true,
+                    data: database.getOutboundMessages(req.query.status || null, limit),
+                    stats: database.getOutboundStats()
+                });
+            } catch (error) {
+                logger.error('Error getting outbound messages:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/outbound/:id', (req, res) => {
+            try {
+                const message = database.getOutboundMessage(parseInt(req.params.id));
+
+                if (!message) {
+                    return res.status(404).json({ success: false, error: 'Mensagem não encontrada' });
+                }
+
+                res.json({ success: true, data: message });
+            } catch (error) {
+                logger.error('Error getting outbound message:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
         // ============ BROADCAST ============
         router.post('/broadcast', async (req, res) => {
             try {
-                const { message, phones } = req.body;
+                const { message, phones, mediaId } = req.body;
 
-                if (!message || !phones || !Array.isArray(phones)) {
+                if ((!message && !mediaId) || !phones || !Array.isArray(phones)) {
                     return res.status(400).json({
                         success: false,
-                        error: 'Message and phones array required'
+                        error: 'Message (or mediaId) and phones array required'
                     });
                 }
 
-                if (!this.whatsappBot || !this.whatsappBot.isReady) {
+                if (!this.whatsappBot) {
                     return res.status(503).json({
                         success: false,
                         error: 'WhatsApp bot not ready'
                     });
                 }
 
-                const results = [];
-                for (const phone of phones) {
-                    const result = await this.whatsappBot.sendMessage(phone, message);
-                    results.push({ phone, success: result });
+                // Broadcast vira uma campanha imediata, enviada em segundo plano
+                const result = this.whatsappBot.campaigns.create({
+                    name: `Broadcast ${new Date().toLocaleString('pt-BR')}`,
+                    template: message,
+                    phones: phones,
+                    mediaId: mediaId
+                });
 
-                    // Delay entre mensagens para evitar ban
-                    await this.sleep(2000);
+                if (!result.success) {
+                    return res.status(result.status).json(result);
                 }
 
-                const successCount = results.filter(r => r.success).length;
-                this.metrics.messagesSent += successCount;
-
-                res.json({
+                res.status(202).json({
                     success: true,
-                    message: `Broadcast sent to ${successCount}/${phones.length} contacts`,
-                    results
+                    message: `Broadcast queued for ${result.data.progress.total} contacts`,
+                    data: result.data
                 });
             } catch (error) {
                 logger.error('Error broadcasting:', error);
@@ -627,53 +1018,804 @@ class BotServer {
             }
         });
 
-        // ============ LOGS ============
-        router.get('/logs', (req, res) => {
+        // ============ CAMPANHAS ============
+        router.get('/campaigns', (req, res) => {
             try {
-                const limit = parseInt(req.query.limit) || 100;
-                const level = req.query.level || 'all';
-
-                const logFile = path.join(__dirname, 'logs', 'combined.log');
-                const logs = fs.readFileSync(logFile, 'utf8')
-                    .split('\n')
-                    .filter(line => line.trim())
-                    .slice(-limit)
-                    .reverse();
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
 
                 res.json({
                     success: true,
-                    data: logs,
-                    total: logs.length
+                    data: this.whatsappBot.campaigns.list(parseInt(req.query.limit) || 50)
                 });
             } catch (error) {
-                logger.error('Error getting logs:', error);
+                logger.error('Error listing campaigns:', error);
                 this.metrics.errors++;
                 res.status(500).json({ success: false, error: error.message });
             }
         });
 
-        // ============ EXPORTAR DADOS ============
-        router.get('/export/conversations', (req, res) => {
+        router.post('/campaigns', (req, res) => {
             try {
-                const conversations = database.db.prepare(
-                    'SELECT * FROM conversations ORDER BY timestamp DESC'
-                ).all();
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
 
-                res.setHeader('Content-Type', 'application/json');
-                res.setHeader('Content-Disposition', `attachment; filename="conversations-${Date.now()}.json"`);
-                res.send(JSON.stringify(conversations, null, 2));
+                const result = this.whatsappBot.campaigns.create(req.body);
+                res.status(result.success ? 201 : result.status).json(result);
             } catch (error) {
-                logger.error('Error exporting conversations:', error);
+                logger.error('Error creating campaign:', error);
                 this.metrics.errors++;
                 res.status(500).json({ success: false, error: error.message });
             }
         });
 
-        router.get('/export/training', (req, res) => {
+        router.get('/campaigns/:id', (req, res) => {
             try {
-                const training = database.getTrainingData();
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
 
-                res.setHeader('Content-Type', 'application/json');
+                const campaign = this.whatsappBot.campaigns.get(parseInt(req.params.id));
+
+                if (!campaign) {
+                    return res.status(404).json({ success: false, error: 'Campanha não encontrada' });
+                }
+
+                res.json({ success: true, data: campaign });
+            } catch (error) {
+                logger.error('Error getting campaign:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/campaigns/:id/recipients', (req, res) => {
+            try {
+                const limit = parseInt(req.query.limit) || 100;
+                const status = req.query.status || null;
+                const recipients = database.getCampaignRecipients(parseInt(req.params.id), status, limit);
+
+                res.json({
+                    success: true,
+                    data: recipients,
+                    total: recipients.length
+                });
+            } catch (error) {
+                logger.error('Error getting campaign recipients:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/campaigns/:id/:action(pause|resume|cancel)', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const { action, id } = req.params;
+                const result = this.whatsappBot.campaigns[action](parseInt(id));
+
+                res.status(result.success ? 200 : result.status).json(result);
+            } catch (error) {
+                logger.error('Error updating campaign:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // ============ BIBLIOTECA DE MÍDIA ============
+        const mediaSettings = { ...MediaStore.DEFAULTS, ...(this.config.media || {}) };
+        const mediaUpload = [
+            SecurityMiddlewares.bodyLimit(mediaSettings.max_upload_size),
+            SecurityMiddlewares.allowedContentTypes(mediaSettings.allowed_upload_types),
+            express.raw({ type: () => true, limit: mediaSettings.max_upload_size })
+        ];
+
+        // Corpo binário com o Content-Type do arquivo; nome e tags pela query string
+        router.post('/media', mediaUpload, (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const tags = req.query.tags
+                    ? String(req.query.tags).split(',').map(tag => tag.trim()).filter(Boolean)
+                    : [];
+
+                const result = this.whatsappBot.media.addToLibrary(req.body, {
+                    name: req.query.name || req.get('x-filename'),
+                    mimetype: req.get('content-type'),
+                    tags: tags
+                });
+
+                res.status(result.status).json(result);
+            } catch (error) {
+                logger.error('Error uploading media:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/media', (req, res) => {
+            try {
+                const items = database.getMediaItems({
+                    tag: req.query.tag || null,
+                    type: req.query.type || null,
+                    limit: parseInt(req.query.limit) || 100
+                });
+
+                res.json({
+                    success: true,
+                    data: items,
+                    total: items.length
+                });
+            } catch (error) {
+                logger.error('Error listing media:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/media/:id', (req, res) => {
+            try {
+                const item = database.getMediaItem(parseInt(req.params.id));
+
+                if (!item) {
+                    return res.status(404).json({ success: false, error: 'Mídia não encontrada' });
+                }
+
+                res.json({ success: true, data: item });
+            } catch (error) {
+                logger.error('Error getting media:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/media/:id/file', (req, res) => {
+            try {
+                const item = database.getMediaItem(parseInt(req.params.id));
+                const filePath = item && this.whatsappBot
+                    ? this.whatsappBot.media.resolvePath(item.path, this.whatsappBot.media.libraryRoot)
+                    : null;
+
+                if (!filePath || !fs.existsSync(filePath)) {
+                    return res.status(404).json({ success: false, error: 'Arquivo não encontrado' });
+                }
+
+                this.sendMediaFile(res, filePath, item.mimetype, item.name);
+            } catch (error) {
+                logger.error('Error getting media file:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.patch('/media/:id', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const result = this.whatsappBot.media.updateLibraryItem(parseInt(req.params.id), req.body);
+                res.status(result.success ? 200 : result.status).json(result);
+            } catch (error) {
+                logger.error('Error updating media:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.delete('/media/:id', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const result = this.whatsappBot.media.removeFromLibrary(parseInt(req.params.id));
+                res.status(result.success ? 200 : result.status).json(result);
+            } catch (error) {
+                logger.error('Error deleting media:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // ============ CONSENTIMENTO (OPT-IN / OPT-OUT) ============
+        router.get('/consent', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const limit = parseInt(req.query.limit) || 100;
+                const consents = this.whatsappBot.consent.list(req.query.status || null, limit);
+
+                res.json({
+                    success: true,
+                    data: consents,
+                    total: consents.length
+                });
+            } catch (error) {
+                logger.error('Error listing consent:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/consent', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const { phone, status, source, channel, note } = req.body;
+
+                if (!phone) {
+                    return res.status(400).json({ success: false, error: 'phone é obrigatório' });
+                }
+
+                const result = this.whatsappBot.consent.set(phone, status, {
+                    source: source || 'api',
+                    channel: channel,
+                    note: note
+                });
+
+                res.status(result.success ? 200 : result.status).json(result);
+            } catch (error) {
+                logger.error('Error saving consent:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/consent/import', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const { contacts, status, source, channel, note } = req.body;
+                const result = this.whatsappBot.consent.import(contacts, {
+                    status: status,
+                    source: source || 'import',
+                    channel: channel,
+                    note: note
+                });
+
+                res.status(result.success ? 200 : result.status).json(result);
+            } catch (error) {
+                logger.error('Error importing consent:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/consent/:phone', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                res.json({
+                    success: true,
+                    data: {
+                        ...this.whatsappBot.consent.get(req.params.phone),
+                        history: this.whatsappBot.consent.history(req.params.phone)
+                    }
+                });
+            } catch (error) {
+                logger.error('Error getting consent:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // ============ ATENDIMENTO HUMANO ============
+        router.get('/handoff/queue', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const queue = this.whatsappBot.handoff.getQueue();
+
+                res.json({
+                    success: true,
+                    data: queue,
+                    total: queue.length
+                });
+            } catch (error) {
+                logger.error('Error getting handoff queue:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/handoff/:phone/history', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const phone = WhatsAppBot.toChatId(req.params.phone);
+                const limit = parseInt(req.query.limit) || 50;
+
+                res.json({
+                    success: true,
+                    data: {
+                        session: this.whatsappBot.getSession(phone) || null,
+                        history: this.whatsappBot.handoff.getHistory(phone, limit),
+                        userContext: database.getUserContext(phone)
+                    }
+                });
+            } catch (error) {
+                logger.error('Error getting handoff history:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/handoff/:phone/claim', async (req, res) => {
+            try {
+                const { agent } = req.body;
+
+                if (!agent) {
+                    return res.status(400).json({ success: false, error: 'Agent required' });
+                }
+
+                if (!this.whatsappBot || !this.whatsappBot.isReady) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const result = await this.whatsappBot.handoff.claim(WhatsAppBot.toChatId(req.params.phone), agent);
+                res.status(result.success ? 200 : result.status).json(result);
+            } catch (error) {
+                logger.error('Error claiming conversation:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/handoff/:phone/reply', async (req, res) => {
+            try {
+                const { agent, message } = req.body;
+
+                if (!agent || !message) {
+                    return res.status(400).json({ success: false, error: 'Agent and message required' });
+                }
+
+                if (!this.whatsappBot || !this.whatsappBot.isReady) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const phone = WhatsAppBot.toChatId(req.params.phone);
+                const result = await this.whatsappBot.handoff.reply(phone, agent, message);
+
+                if (result.success) {
+                    this.metrics.messagesSent++;
+                }
+
+                res.status(result.success ? 200 : result.status).json(result);
+            } catch (error) {
+                logger.error('Error replying to conversation:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/handoff/:phone/release', async (req, res) => {
+            try {
+                const { agent } = req.body;
+
+                if (!agent) {
+                    return res.status(400).json({ success: false, error: 'Agent required' });
+                }
+
+                if (!this.whatsappBot || !this.whatsappBot.isReady) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const result = await this.whatsappBot.handoff.release(WhatsAppBot.toChatId(req.params.phone), agent);
+                res.status(result.success ? 200 : result.status).json(result);
+            } catch (error) {
+                logger.error('Error releasing conversation:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // ============ FILAS POR DEPARTAMENTO ============
+        router.get('/queues', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                res.json({
+                    success: true,
+                    data: this.whatsappBot.queues.listAll()
+                });
+            } catch (error) {
+                logger.error('Error getting queues:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/queues/:departmentId', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const departmentId = parseInt(req.params.departmentId);
+                if (!this.whatsappBot.queues.getDepartment(departmentId)) {
+                    return res.status(404).json({ success: false, error: 'Departamento não encontrado' });
+                }
+
+                res.json({
+                    success: true,
+                    data: this.whatsappBot.queues.list(departmentId)
+                });
+            } catch (error) {
+                logger.error('Error getting queue:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/queues/:departmentId/next', async (req, res) => {
+            try {
+                const { agent } = req.body;
+
+                if (!agent) {
+                    return res.status(400).json({ success: false, error: 'Agent required' });
+                }
+
+                if (!this.whatsappBot || !this.whatsappBot.isReady) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const entry = await this.whatsappBot.queues.next(parseInt(req.params.departmentId), agent);
+
+                if (!entry) {
+                    return res.status(404).json({ success: false, error: 'Fila vazia' });
+                }
+
+                res.json({ success: true, data: entry });
+            } catch (error) {
+                logger.error('Error serving queue:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.patch('/queues/entries/:id', async (req, res) => {
+            try {
+                const { position, departmentId } = req.body;
+                const entryId = parseInt(req.params.id);
+
+                if (position === undefined && departmentId === undefined) {
+                    return res.status(400).json({ success: false, error: 'Position or departmentId required' });
+                }
+
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                let updated = true;
+                if (departmentId !== undefined) {
+                    updated = await this.whatsappBot.queues.reassign(entryId, parseInt(departmentId));
+                }
+                if (updated && position !== undefined) {
+                    updated = await this.whatsappBot.queues.move(entryId, parseInt(position));
+                }
+
+                if (!updated) {
+                    return res.status(404).json({ success: false, error: 'Entrada ou departamento não encontrado' });
+                }
+
+                res.json({ success: true, message: 'Queue updated' });
+            } catch (error) {
+                logger.error('Error updating queue entry:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.delete('/queues/entries/:id', async (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const removed = await this.whatsappBot.queues.remove(parseInt(req.params.id));
+
+                if (!removed) {
+                    return res.status(404).json({ success: false, error: 'Entrada não encontrada' });
+                }
+
+                res.json({ success: true, message: 'Entry removed from queue' });
+            } catch (error) {
+                logger.error('Error removing queue entry:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // ============ HORÁRIO DE ATENDIMENTO ============
+        router.get('/business-hours', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                res.json({
+                    success: true,
+                    data: this.whatsappBot.businessHours.getStatus()
+                });
+            } catch (error) {
+                logger.error('Error getting business hours:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/callbacks', (req, res) => {
+            try {
+                const status = req.query.status || 'pending';
+                const limit = parseInt(req.query.limit) || 100;
+                const callbacks = database.getCallbackRequests(status, limit);
+
+                res.json({
+                    success: true,
+                    data: callbacks,
+                    total: callbacks.length
+                });
+            } catch (error) {
+                logger.error('Error getting callbacks:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/callbacks/:id/done', (req, res) => {
+            try {
+                const result = database.completeCallbackRequest(parseInt(req.params.id), req.body.agent);
+
+                if (result.changes === 0) {
+                    return res.status(404).json({ success: false, error: 'Pedido de retorno não encontrado' });
+                }
+
+                res.json({ success: true, message: 'Callback marked as done' });
+            } catch (error) {
+                logger.error('Error completing callback:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/offline-contacts', (req, res) => {
+            try {
+                const status = req.query.status || 'pending';
+                const limit = parseInt(req.query.limit) || 100;
+                const contacts = database.getPendingContacts(status, limit);
+
+                res.json({
+                    success: true,
+                    data: contacts,
+                    total: contacts.length
+                });
+            } catch (error) {
+                logger.error('Error getting offline contacts:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/offline-contacts/deliver', async (req, res) => {
+            try {
+                if (!this.whatsappBot || !this.whatsappBot.isReady) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const delivered = await this.whatsappBot.offlineInbox.deliverPending();
+
+                res.json({ success: true, delivered: delivered });
+            } catch (error) {
+                logger.error('Error delivering offline contacts:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // ============ WEBHOOKS ============
+        router.get('/webhooks', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                res.json({
+                    success: true,
+                    data: this.whatsappBot.webhooks.list(),
+                    events: WebhookDispatcher.EVENTS
+                });
+            } catch (error) {
+                logger.error('Error listing webhooks:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/webhooks', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const result = this.whatsappBot.webhooks.create(req.body);
+                res.status(result.success ? 201 : result.status).json(result);
+            } catch (error) {
+                logger.error('Error creating webhook:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/webhooks/:id', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const webhook = this.whatsappBot.webhooks.get(parseInt(req.params.id));
+
+                if (!webhook) {
+                    return res.status(404).json({ success: false, error: 'Webhook não encontrado' });
+                }
+
+                res.json({ success: true, data: webhook });
+            } catch (error) {
+                logger.error('Error getting webhook:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.put('/webhooks/:id', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const result = this.whatsappBot.webhooks.update(parseInt(req.params.id), req.body);
+                res.status(result.status).json(result);
+            } catch (error) {
+                logger.error('Error updating webhook:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.delete('/webhooks/:id', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const result = this.whatsappBot.webhooks.remove(parseInt(req.params.id));
+                res.status(result.status).json(result);
+            } catch (error) {
+                logger.error('Error deleting webhook:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/webhooks/:id/test', async (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const result = await this.whatsappBot.webhooks.sendTest(parseInt(req.params.id));
+                res.status(result.status).json(result);
+            } catch (error) {
+                logger.error('Error sending test webhook:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/webhooks/:id/deliveries', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const limit = parseInt(req.query.limit) || 100;
+                const status = req.query.status || null;
+                const deliveries = this.whatsappBot.webhooks.getDeliveries(parseInt(req.params.id), status, limit);
+
+                res.json({
+                    success: true,
+                    data: deliveries,
+                    total: deliveries.length
+                });
+            } catch (error) {
+                logger.error('Error getting webhook deliveries:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.post('/webhooks/deliveries/:id/retry', (req, res) => {
+            try {
+                if (!this.whatsappBot) {
+                    return res.status(503).json({ success: false, error: 'WhatsApp bot not ready' });
+                }
+
+                const result = this.whatsappBot.webhooks.retry(parseInt(req.params.id));
+                res.status(result.status).json(result);
+            } catch (error) {
+                logger.error('Error retrying webhook delivery:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // ============ LOGS ============
+        router.get('/logs', (req, res) => {
+            try {
+                const limit = parseInt(req.query.limit) || 100;
+                const level = req.query.level || 'all';
+
+                const logFile = path.join(__dirname, 'logs', 'combined.log');
+                const logs = fs.readFileSync(logFile, 'utf8')
+                    .split('\n')
+                    .filter(line => line.trim())
+                    .slice(-limit)
+                    .reverse();
+
+                res.json({
+                    success: true,
+                    data: logs,
+                    total: logs.length
+                });
+            } catch (error) {
+                logger.error('Error getting logs:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // ============ EXPORTAR DADOS ============
+        router.get('/export/conversations', (req, res) => {
+            try {
+                const conversations = database.db.prepare(
+                    'SELECT * FROM conversations ORDER BY timestamp DESC'
+                ).all();
+
+                res.setHeader('Content-Type', 'application/json');
+                res.setHeader('Content-Disposition', `attachment; filename="conversations-${Date.now()}.json"`);
+                res.send(JSON.stringify(conversations, null, 2));
+            } catch (error) {
+                logger.error('Error exporting conversations:', error);
+                this.metrics.errors++;
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        router.get('/export/training', (req, res) => {
+            try {
+                const training = database.getTrainingData();
+
+                res.setHeader('Content-Type', 'application/json');
                 res.setHeader('Content-Disposition', `attachment; filename="training-${Date.now()}.json"`);
                 res.send(JSON.stringify(training, null, 2));
             } catch (error) {
@@ -692,7 +1834,7 @@ class BotServer {
                     await this.whatsappBot.stop();
                 }
 
-                this.whatsappBot = new WhatsAppBot(this.config);
+                this.whatsappBot = this.createWhatsAppBot();
                 await this.whatsappBot.start();
 
                 res.json({
@@ -740,6 +1882,10 @@ class BotServer {
             res.sendFile(path.join(__dirname, 'dashboard', 'public', 'config.html'));
         });
 
+        this.app.get('/flow-builder.html', (req, res) => {
+            res.sendFile(path.join(__dirname, 'dashboard', 'public', 'flow-builder.html'));
+        });
+
         // 404 Handler
         this.app.use((req, res) => {
             res.status(404).json({
@@ -895,7 +2041,7 @@ class BotServer {
 
             // Inicializar bot do WhatsApp
             logger.info('📱 Initializing WhatsApp Bot...');
-            this.whatsappBot = new WhatsAppBot(this.config);
+            this.whatsappBot = this.createWhatsAppBot();
             await this.whatsappBot.start();
 
             // Iniciar limpeza automática de segurança
@@ -910,6 +2056,51 @@ class BotServer {
         }
     }
 
+    // Criar bot do WhatsApp repassando seus eventos ao dashboard
+    createWhatsAppBot() {
+        const bot = new WhatsAppBot(this.config);
+
+        BOT_EVENTS.forEach((event) => {
+            bot.on(event, (payload) => this.io.emit(event, payload));
+        });
+
+        return bot;
+    }
+
+    // Hot reload dos fluxos: usuários em outros fluxos seguem de onde estavam
+    applyFlowChange(flowId) {
+        this.config = this.configManager.getConfig();
+
+        if (this.whatsappBot) {
+            this.whatsappBot.reloadConfig(this.config);
+        }
+
+        this.io.emit('flows-updated', { flowId: flowId });
+    }
+
+    // Arquivo de anexo ou da biblioteca: só os tipos seguros abrem no navegador, o resto é baixado
+    sendMediaFile(res, filePath, mimetype, filename) {
+        if (this.whatsappBot.media.isInlineType(mimetype)) {
+            res.type(mimetype);
+        } else {
+            res.attachment(filename || path.basename(filePath));
+            res.type('application/octet-stream');
+        }
+
+        res.sendFile(filePath);
+    }
+
+    // Aplicar feriados/horários alterados sem reiniciar o bot
+    applyBusinessHoursChange() {
+        this.config = this.configManager.getConfig();
+
+        if (this.whatsappBot) {
+            this.whatsappBot.config.business_hours = this.config.business_hours;
+        }
+
+        this.io.emit('business-hours-updated', this.config.business_hours);
+    }
+
     // ============================================
     // UTILITY FUNCTIONS
     // ============================================
@@ -948,6 +2139,26 @@ class BotServer {
         };
     }
 
+    getBroadcastMetrics(timeRange) {
+        const ranges = {
+            '1h': 3600000,
+            '24h': 86400000,
+            '7d': 604800000,
+            '30d': 2592000000
+        };
+
+        const since = Date.now() - (ranges[timeRange] || ranges['24h']);
+        const stats = database.getDeliveryStats('campaign', since);
+        const rate = (value) => (stats.sent > 0 ? Math.round((value / stats.sent) * 1000) / 10 : 0);
+
+        return {
+            timeRange,
+            ...stats,
+            deliveryRate: rate(stats.delivered),
+            readRate: rate(stats.read)
+        };
+    }
+
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
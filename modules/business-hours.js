@@ -0,0 +1,240 @@
+/**
+ * ============================================
+ * BUSINESS HOURS - Horário de Atendimento
+ * Horário global e por departamento, feriados, exceções e fuso horário
+ * ============================================
+ */
+
+const DAY_NAMES_PT = {
+    sunday: 'domingo',
+    monday: 'segunda-feira',
+    tuesday: 'terça-feira',
+    wednesday: 'quarta-feira',
+    thursday: 'quinta-feira',
+    friday: 'sexta-feira',
+    saturday: 'sábado'
+};
+
+// Quantos dias à frente procurar a próxima abertura
+const REOPEN_LOOKAHEAD_DAYS = 30;
+
+// Feriados nacionais fixos (MM-DD)
+const BR_FIXED_HOLIDAYS = [
+    { date: '01-01', name: 'Confraternização Universal' },
+    { date: '04-21', name: 'Tiradentes' },
+    { date: '05-01', name: 'Dia do Trabalho' },
+    { date: '09-07', name: 'Independência do Brasil' },
+    { date: '10-12', name: 'Nossa Senhora Aparecida' },
+    { date: '11-02', name: 'Finados' },
+    { date: '11-15', name: 'Proclamação da República' },
+    { date: '11-20', name: 'Dia Nacional de Zumbi e da Consciência Negra' },
+    { date: '12-25', name: 'Natal' }
+];
+
+// Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function getBrazilianHolidays(year) {
+    const goodFriday = getEasterSunday(year);
+    goodFriday.setUTCDate(goodFriday.getUTCDate() - 2);
+
+    return [
+        ...BR_FIXED_HOLIDAYS.map(h => ({ date: `${year}-${h.date}`, name: h.name })),
+        { date: goodFriday.toISOString().slice(0, 10), name: 'Sexta-feira Santa' }
+    ].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+class BusinessHours {
+    constructor(bot) {
+        this.bot = bot;
+    }
+
+    get settings() {
+        return this.bot.config.business_hours || {};
+    }
+
+    // ============================================
+    // HORA LOCAL
+    // ============================================
+
+    // Data/hora no fuso configurado (independe do fuso do servidor)
+    getLocalTime(date = new Date(), timezone = this.settings.timezone) {
+        const parts = {};
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone || undefined,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'long',
+            hourCycle: 'h23'
+        });
+
+        formatter.formatToParts(date).forEach((part) => {
+            parts[part.type] = part.value;
+        });
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            day: parts.weekday.toLowerCase(),
+            time: `${parts.hour}:${parts.minute}`
+        };
+    }
+
+    // ============================================
+    // CONFIGURAÇÃO EFETIVA
+    // ============================================
+
+    // Departamento sem horário próprio herda o horário global.
+    // Exceções do departamento têm precedência sobre as globais.
+    getDepartmentSettings(department) {
+        const own = (department && department.business_hours) || {};
+
+        return {
+            timezone: own.timezone || this.settings.timezone,
+            schedule: own.schedule || this.settings.schedule || {},
+            holidays: [...(own.holidays || []), ...(this.settings.holidays || [])],
+            nationalHolidays: this.settings.national_holidays
+        };
+    }
+
+    // ============================================
+    // FERIADOS E EXCEÇÕES
+    // ============================================
+
+    // Aceita "2026-12-24" (data única), "12-24" (todo ano) ou string simples (dia fechado)
+    findException(settings, localDate) {
+        const exception = settings.holidays
+            .map(entry => (typeof entry === 'string' ? { date: entry } : entry))
+            .find(entry => entry.date === localDate || entry.date === localDate.slice(5));
+
+        if (exception) {
+            return exception;
+        }
+
+        if (settings.nationalHolidays === 'BR') {
+            return getBrazilianHolidays(Number(localDate.slice(0, 4))).find(h => h.date === localDate) || null;
+        }
+
+        return null;
+    }
+
+    // Horário de um dia: exceção com open/close abre em horário especial, sem eles fecha o dia todo
+    getHoursFor(settings, local) {
+        const exception = this.findException(settings, local.date);
+        const hours = exception || settings.schedule[local.day];
+
+        if (!hours || !hours.open || !hours.close) {
+            return null;
+        }
+
+        return { open: hours.open, close: hours.close };
+    }
+
+    // ============================================
+    // VERIFICAÇÕES
+    // ============================================
+
+    isOpen(department = null, date = new Date()) {
+        if (!this.settings.enabled) {
+            return true;
+        }
+
+        const settings = this.getDepartmentSettings(department);
+        const local = this.getLocalTime(date, settings.timezone);
+        const hours = this.getHoursFor(settings, local);
+
+        return Boolean(hours) && local.time >= hours.open && local.time <= hours.close;
+    }
+
+    // Próxima abertura a partir de agora, respeitando feriados e exceções
+    getNextOpening(department = null, date = new Date()) {
+        const settings = this.getDepartmentSettings(department);
+
+        for (let daysAhead = 0; daysAhead <= REOPEN_LOOKAHEAD_DAYS; daysAhead++) {
+            const local = this.getLocalTime(new Date(date.getTime() + daysAhead * 86400000), settings.timezone);
+            const hours = this.getHoursFor(settings, local);
+
+            if (!hours || (daysAhead === 0 && local.time >= hours.open)) {
+                continue;
+            }
+
+            return {
+                date: local.date,
+                day: local.day,
+                time: hours.open,
+                daysAhead: daysAhead
+            };
+        }
+
+        return null;
+    }
+
+    // "hoje às 09:00", "amanhã às 09:00" ou "segunda-feira (19/10) às 09:00"
+    formatOpening(opening) {
+        if (!opening) {
+            return 'em breve';
+        }
+
+        if (opening.daysAhead === 0) {
+            return `hoje às ${opening.time}`;
+        }
+
+        if (opening.daysAhead === 1) {
+            return `amanhã às ${opening.time}`;
+        }
+
+        const [, month, day] = opening.date.split('-');
+        return `${DAY_NAMES_PT[opening.day]} (${day}/${month}) às ${opening.time}`;
+    }
+
+    getOfflineMessage(department = null, date = new Date()) {
+        const message = (department && department.offline_message) || this.settings.offline_message || '';
+
+        if (!message.includes('{reopen}')) {
+            return message;
+        }
+
+        return message.replace('{reopen}', this.formatOpening(this.getNextOpening(department, date)));
+    }
+
+    getStatus(date = new Date()) {
+        const local = this.getLocalTime(date);
+
+        return {
+            enabled: Boolean(this.settings.enabled),
+            timezone: this.settings.timezone || null,
+            localTime: `${local.date} ${local.time}`,
+            open: this.isOpen(null, date),
+            nextOpening: this.getNextOpening(null, date),
+            departments: this.bot.config.departments.map((department) => ({
+                id: department.id,
+                name: department.name,
+                open: this.isOpen(department, date),
+                nextOpening: this.getNextOpening(department, date)
+            }))
+        };
+    }
+}
+
+BusinessHours.getBrazilianHolidays = getBrazilianHolidays;
+
+module.exports = BusinessHours;
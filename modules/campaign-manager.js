@@ -0,0 +1,300 @@
+/**
+ * ============================================
+ * CAMPAIGN MANAGER - Campanhas de Broadcast
+ * Envio em segundo plano com agendamento, template, pausa e progresso
+ * ============================================
+ */
+
+const database = require('../database/database');
+const logger = require('../logs/logger');
+
+const DEFAULTS = {
+    tick_interval: 5000,
+    batch_size: 10
+};
+
+class CampaignManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.timer = null;
+        this.processing = false;
+        this.lastProgress = new Map();
+    }
+
+    get settings() {
+        return { ...DEFAULTS, ...(this.bot.config.campaigns || {}) };
+    }
+
+    // ============================================
+    // CRIAÇÃO E CONSULTA
+    // ============================================
+
+    create(data) {
+        const template = data.template || '';
+
+        if (typeof template !== 'string' || (!template && !data.mediaId)) {
+            return { success: false, status: 400, error: 'Template da mensagem (ou mediaId) é obrigatório' };
+        }
+
+        // Com mídia, o template vira a legenda
+        const mediaError = data.mediaId
+            ? this.bot.media.checkSource(this.bot.media.normalizeSource({ mediaId: data.mediaId }))
+            : null;
+        if (mediaError) {
+            return { success: false, status: 400, error: mediaError };
+        }
+
+        if (!Array.isArray(data.phones) && (!data.segment || typeof data.segment !== 'object')) {
+            return { success: false, status: 400, error: 'Informe phones (lista) ou segment' };
+        }
+
+        const scheduledAt = data.scheduledAt ? new Date(data.scheduledAt) : new Date();
+        if (isNaN(scheduledAt.getTime())) {
+            return { success: false, status: 400, error: 'scheduledAt inválido' };
+        }
+
+        const recipients = Array.isArray(data.phones)
+            ? this.resolvePhones(data.phones)
+            : database.getSegmentContacts(data.segment);
+
+        if (recipients.length === 0) {
+            return { success: false, status: 400, error: 'Nenhum destinatário encontrado' };
+        }
+
+        const id = database.createCampaign({
+            name: data.name || `Campanha ${new Date().toLocaleString('pt-BR')}`,
+            template: template,
+            segment: Array.isArray(data.phones) ? null : data.segment,
+            status: 'scheduled',
+            scheduledAt: scheduledAt.toISOString(),
+            mediaId: data.mediaId ? Number(data.mediaId) : null
+        }, recipients);
+
+        logger.info(`📣 Campaign ${id} created for ${recipients.length} recipient(s), starts at ${scheduledAt.toISOString()}`);
+
+        setImmediate(() => this.tick().catch((error) => logger.error('Error running campaigns:', error)));
+
+        return { success: true, data: this.get(id) };
+    }
+
+    // Números avulsos: formato de chat do WhatsApp e sem repetidos
+    resolvePhones(phones) {
+        const unique = [...new Set(phones.map(phone => this.bot.constructor.toChatId(String(phone))))];
+
+        return unique.map((phone) => {
+            const context = database.getUserContext(phone);
+            return { phone: phone, name: context ? context.name : null };
+        });
+    }
+
+    get(id) {
+        const campaign = database.getCampaign(id);
+        if (!campaign) {
+            return null;
+        }
+
+        return { ...campaign, progress: database.getCampaignProgress(id) };
+    }
+
+    list(limit = 50) {
+        return database.getCampaigns(limit).map(campaign => ({
+            ...campaign,
+            progress: database.getCampaignProgress(campaign.id)
+        }));
+    }
+
+    // ============================================
+    // CONTROLE
+    // ============================================
+
+    pause(id) {
+        return this.transition(id, ['scheduled', 'running'], 'paused');
+    }
+
+    // Volta para agendada: se o horário já passou, o próximo ciclo retoma o envio
+    resume(id) {
+        return this.transition(id, ['paused'], 'scheduled');
+    }
+
+    // Mensagens já entregues à fila de saída e ainda não enviadas também são canceladas
+    cancel(id) {
+        return this.transition(id, ['scheduled', 'running', 'paused'], 'cancelled', () => {
+            database.cancelCampaignRecipients(id);
+            database.updateCampaign(id, { finished_at: new Date().toISOString() });
+        });
+    }
+
+    transition(id, from, to, onTransition = null) {
+        const campaign = database.getCampaign(id);
+
+        if (!campaign) {
+            return { success: false, status: 404, error: 'Campanha não encontrada' };
+        }
+
+        if (!from.includes(campaign.status)) {
+            return { success: false, status: 409, error: `Campanha está ${campaign.status}` };
+        }
+
+        database.updateCampaign(id, { status: to });
+        if (onTransition) {
+            onTransition();
+        }
+        logger.info(`📣 Campaign ${id}: ${campaign.status} -> ${to}`);
+
+        this.emitProgress(id);
+        return { success: true, data: this.get(id) };
+    }
+
+    // ============================================
+    // EXECUÇÃO
+    // ============================================
+
+    start() {
+        this.stop();
+
+        this.timer = setInterval(() => {
+            this.tick().catch((error) => logger.error('Error running campaigns:', error));
+        }, this.settings.tick_interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        if (this.processing || !this.bot.isReady) {
+            return;
+        }
+
+        this.processing = true;
+
+        try {
+            const now = new Date().toISOString();
+
+            for (const campaign of database.getCampaignsByStatus('scheduled')) {
+                if (campaign.scheduled_at <= now) {
+                    database.updateCampaign(campaign.id, {
+                        status: 'running',
+                        started_at: campaign.started_at || now
+                    });
+                    logger.info(`📣 Campaign ${campaign.id} started`);
+                }
+            }
+
+            for (const campaign of database.getCampaignsByStatus('running')) {
+                await this.advance(campaign);
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    // Mantém no máximo batch_size mensagens da campanha na fila de saída,
+    // para não atrasar as respostas das conversas em andamento
+    async advance(campaign) {
+        database.syncCampaignRecipients(campaign.id);
+
+        let progress = database.getCampaignProgress(campaign.id);
+        const slots = this.settings.batch_size - progress.queued;
+
+        if (slots > 0) {
+            for (const recipient of database.getCampaignRecipients(campaign.id, 'pending', slots)) {
+                // Um destinatário com problema não pode travar a campanha (ficaria pending para sempre)
+                try {
+                    await this.dispatch(campaign, recipient);
+                } catch (error) {
+                    logger.error(`Error sending campaign ${campaign.id} to ${recipient.phone}:`, error);
+                    database.updateCampaignRecipient(recipient.id, { status: 'failed', error: error.message });
+                }
+            }
+            progress = database.getCampaignProgress(campaign.id);
+        }
+
+        if (progress.pending === 0 && progress.queued === 0) {
+            database.updateCampaign(campaign.id, {
+                status: 'completed',
+                finished_at: new Date().toISOString()
+            });
+            logger.info(`✅ Campaign ${campaign.id} completed: ${progress.sent} sent, ${progress.failed} failed`);
+        }
+
+        this.emitProgress(campaign.id);
+    }
+
+    async dispatch(campaign, recipient) {
+        if (!this.bot.consent.canReceive(recipient.phone)) {
+            database.updateCampaignRecipient(recipient.id, { status: 'skipped', error: 'opted_out' });
+            return;
+        }
+
+        const context = database.getUserContext(recipient.phone) || {};
+        const message = this.render(campaign.template, {
+            ...this.getPreferences(context),
+            ...context,
+            phone: recipient.phone.split('@')[0],
+            name: context.name || recipient.name
+        });
+
+        const outboundId = campaign.media_id
+            ? this.bot.sendMedia(recipient.phone, { mediaId: campaign.media_id }, message, { source: 'campaign' })
+            : await this.bot.sendMessage(recipient.phone, message, { source: 'campaign' });
+
+        database.updateCampaignRecipient(recipient.id, {
+            status: outboundId ? 'queued' : 'failed',
+            message: message,
+            outbound_id: outboundId || null,
+            error: outboundId ? null : 'Falha ao enfileirar mensagem'
+        });
+    }
+
+    // Preferências do contato (JSON em user_context); inválidas são ignoradas
+    getPreferences(context) {
+        try {
+            const preferences = JSON.parse(context.preferences || '{}');
+            return preferences && typeof preferences === 'object' ? preferences : {};
+        } catch (error) {
+            logger.warn(`Invalid preferences for ${context.phone}, ignoring them in the campaign template`);
+            return {};
+        }
+    }
+
+    // {name} ou {name|cliente} (valor padrão quando a variável está vazia)
+    render(template, context) {
+        return template.replace(/\{(\w+)(?:\|([^}]*))?\}/g, (match, key, fallback) => {
+            const value = context[key];
+            return value !== undefined && value !== null && value !== '' ? String(value) : (fallback || '');
+        });
+    }
+
+    // Só emite quando algo mudou desde o último aviso
+    emitProgress(id) {
+        const campaign = this.get(id);
+        if (!campaign) {
+            return;
+        }
+
+        const payload = {
+            id: campaign.id,
+            name: campaign.name,
+            status: campaign.status,
+            ...campaign.progress
+        };
+        const snapshot = JSON.stringify(payload);
+
+        if (this.lastProgress.get(id) === snapshot) {
+            return;
+        }
+
+        this.lastProgress.set(id, snapshot);
+        if (['completed', 'cancelled'].includes(campaign.status)) {
+            this.lastProgress.delete(id);
+        }
+
+        this.bot.emit('campaign-progress', payload);
+    }
+}
+
+module.exports = CampaignManager;
@@ -0,0 +1,178 @@
+/**
+ * ============================================
+ * CONSENT MANAGER - Consentimento (Opt-in / Opt-out)
+ * Registro auditável de consentimento aplicado aos envios ativos
+ * ============================================
+ */
+
+const database = require('../database/database');
+const logger = require('../logs/logger');
+
+const STATUSES = ['opted_in', 'opted_out'];
+
+// Envios que partem da empresa (não são resposta a uma mensagem do cliente)
+const PROACTIVE_SOURCES = ['manual', 'campaign'];
+
+const DEFAULTS = {
+    opt_out_keywords: ['SAIR', 'PARAR', 'STOP'],
+    opt_in_keywords: ['ACEITO'],
+    require_opt_in: false
+};
+
+class ConsentManager {
+    constructor(bot) {
+        this.bot = bot;
+    }
+
+    get settings() {
+        return { ...DEFAULTS, ...(this.bot.config.consent || {}) };
+    }
+
+    // ============================================
+    // PALAVRAS-CHAVE
+    // ============================================
+
+    // Só a mensagem inteira conta ("sair" sim, "quero sair do plano" não)
+    matchKeyword(message) {
+        const text = String(message || '').trim().toUpperCase();
+        const matches = keywords => keywords.some(keyword => keyword.toUpperCase() === text);
+
+        if (matches(this.settings.opt_out_keywords)) {
+            return 'opted_out';
+        }
+
+        if (matches(this.settings.opt_in_keywords)) {
+            return 'opted_in';
+        }
+
+        return null;
+    }
+
+    // Retorna true quando a mensagem era uma palavra-chave de consentimento
+    async handleKeyword(phone, message) {
+        const status = this.matchKeyword(message);
+        if (!status) {
+            return false;
+        }
+
+        this.set(phone, status, { source: 'keyword', note: String(message).trim() });
+
+        const reply = status === 'opted_out' ? this.settings.opt_out_message : this.settings.opt_in_message;
+        if (reply) {
+            await this.bot.sendMessage(phone, reply);
+        }
+
+        return true;
+    }
+
+    // ============================================
+    // REGISTRO
+    // ============================================
+
+    set(phone, status, options = {}) {
+        if (!STATUSES.includes(status)) {
+            return { success: false, status: 400, error: `status deve ser ${STATUSES.join(' ou ')}` };
+        }
+
+        const chatId = this.bot.constructor.toChatId(String(phone));
+        const source = options.source || 'api';
+
+        database.setConsent({
+            phone: chatId,
+            status: status,
+            source: source,
+            channel: options.channel,
+            note: options.note
+        });
+
+        logger.info(`📝 Consent for ${chatId}: ${status} (${source})`);
+        this.bot.emit('consent-changed', {
+            phone: chatId,
+            status: status,
+            source: source,
+            timestamp: new Date().toISOString()
+        });
+
+        return { success: true, data: this.get(chatId) };
+    }
+
+    // Importação em lote: aceita números ou objetos { phone, status }
+    import(contacts, options = {}) {
+        if (!Array.isArray(contacts) || contacts.length === 0) {
+            return { success: false, status: 400, error: 'contacts deve ser uma lista não vazia' };
+        }
+
+        const entries = [];
+        const invalid = [];
+
+        contacts.forEach((contact) => {
+            const phone = typeof contact === 'object' && contact !== null ? contact.phone : contact;
+            const status = (contact && contact.status) || options.status;
+
+            if (!phone || !STATUSES.includes(status)) {
+                invalid.push(contact);
+                return;
+            }
+
+            entries.push({
+                phone: this.bot.constructor.toChatId(String(phone)),
+                status: status,
+                source: options.source || 'import',
+                channel: options.channel,
+                note: options.note
+            });
+        });
+
+        if (entries.length > 0) {
+            database.setConsent(entries);
+        }
+
+        logger.info(`📝 Consent import: ${entries.length} saved, ${invalid.length} invalid`);
+
+        return { success: true, data: { imported: entries.length, invalid: invalid } };
+    }
+
+    // ============================================
+    // CONSULTAS
+    // ============================================
+
+    get(phone) {
+        const chatId = this.bot.constructor.toChatId(String(phone));
+        const record = database.getConsent(chatId);
+
+        return {
+            phone: chatId,
+            status: record ? record.status : null,
+            source: record ? record.source : null,
+            channel: record ? record.channel : null,
+            updatedAt: record ? record.updated_at : null,
+            canReceive: this.canReceive(chatId)
+        };
+    }
+
+    list(status = null, limit = 100) {
+        return database.getConsents(status, limit);
+    }
+
+    history(phone) {
+        return database.getConsentHistory(this.bot.constructor.toChatId(String(phone)));
+    }
+
+    // Opt-out sempre bloqueia; com require_opt_in, só quem aceitou recebe
+    canReceive(phone) {
+        const record = database.getConsent(this.bot.constructor.toChatId(String(phone)));
+
+        if (record && record.status === 'opted_out') {
+            return false;
+        }
+
+        return !this.settings.require_opt_in || Boolean(record && record.status === 'opted_in');
+    }
+
+    // Respostas ao cliente sempre passam; envios ativos dependem do consentimento
+    allows(phone, source) {
+        return !PROACTIVE_SOURCES.includes(source) || this.canReceive(phone);
+    }
+}
+
+module.exports = ConsentManager;
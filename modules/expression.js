@@ -0,0 +1,685 @@
+/**
+ * ============================================
+ * EXPRESSION - Expressões dos Steps condition
+ * Parser e avaliador próprios (sem eval): lógica, comparações, regex, listas e datas
+ * ============================================
+ *
+ * Exemplos:
+ *   data.email exists and not (user_context.name equals "Visitante")
+ *   number(data.valor) >= 1000 or data.plano in ["pro", "enterprise"]
+ *   data.email matches /@empresa\.com\.br$/i
+ *   is_business_hours() and days_since(user_context.last_interaction) > 30
+ *
+ * Caminhos partem de data (dados do fluxo), user_context ou session e podem ser
+ * aninhados (data.endereco.cidade, data.itens.0). A sintaxe antiga
+ * ("data.campo equals valor sem aspas") continua aceita.
+ */
+
+const MAX_LENGTH = 500;
+const MAX_DEPTH = 32;
+const MAX_REGEX_LENGTH = 200;
+const MAX_MATCH_LENGTH = 1000;
+const MAX_CACHE = 500;
+
+const ROOTS = ['data', 'user_context', 'session'];
+const KEYWORDS = ['and', 'or', 'not', 'in', 'exists', 'equals', 'contains', 'matches', 'true', 'false', 'null'];
+const COMPARISONS = ['==', '!=', '>', '>=', '<', '<=', 'equals', 'contains', 'matches', 'in'];
+const NEGATABLE = ['equals', 'contains', 'matches', 'in'];
+
+// Nomes que abririam caminho para o protótipo dos objetos
+const FORBIDDEN_SEGMENTS = ['__proto__', 'prototype', 'constructor'];
+
+// Grupo com quantificador que se repete, ex.: (a+)+ — backtracking exponencial
+const NESTED_QUANTIFIER = /\([^)]*[+*}][^)]*\)\s*[+*{]/;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ============================================
+// FUNÇÕES DISPONÍVEIS
+// ============================================
+
+// [mínimo de argumentos, máximo, implementação(args, helpers)]
+const FUNCTIONS = {
+    days_since: [1, 1, ([value], helpers) => elapsed(value, helpers, DAY)],
+    hours_since: [1, 1, ([value], helpers) => elapsed(value, helpers, DAY / 24)],
+    minutes_since: [1, 1, ([value], helpers) => elapsed(value, helpers, 60 * 1000)],
+    is_business_hours: [0, 1, ([departmentId], helpers) => helpers.isBusinessHours(departmentId)],
+    hour: [0, 0, (args, helpers) => Number(helpers.localTime().time.split(':')[0])],
+    weekday: [0, 0, (args, helpers) => helpers.localTime().day],
+    length: [1, 1, ([value]) => (Array.isArray(value) || typeof value === 'string' ? value.length : 0)],
+    lower: [1, 1, ([value]) => (value === undefined || value === null ? value : String(value).toLowerCase())],
+    upper: [1, 1, ([value]) => (value === undefined || value === null ? value : String(value).toUpperCase())],
+    number: [1, 1, ([value]) => toNumber(value)]
+};
+
+const DEFAULT_HELPERS = {
+    now: () => Date.now(),
+    isBusinessHours: () => true,
+    localTime: () => {
+        const now = new Date();
+        const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+        return { day: days[now.getDay()], time: `${now.getHours()}:${now.getMinutes()}` };
+    }
+};
+
+// Datas do banco vêm como "YYYY-MM-DD HH:MM:SS" em UTC; números são timestamps em ms
+function toTimestamp(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    if (typeof value !== 'string' || value === '') {
+        return null;
+    }
+
+    const sqlite = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(value);
+    const timestamp = Date.parse(sqlite ? `${value.replace(' ', 'T')}Z` : value);
+
+    return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+function elapsed(value, helpers, unit) {
+    const timestamp = toTimestamp(value);
+    return timestamp === null ? null : Math.floor((helpers.now() - timestamp) / unit);
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    if (typeof value === 'string' && value.trim() !== '') {
+        const number = Number(value.trim().replace(',', '.'));
+        return Number.isNaN(number) ? null : number;
+    }
+
+    return null;
+}
+
+function isPrimitive(value) {
+    return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+// Número com texto numérico compara como número ("10" == 10); o resto, como texto
+function looseEquals(left, right) {
+    if (left === undefined || left === null || right === undefined || right === null) {
+        return (left === undefined || left === null) && (right === undefined || right === null);
+    }
+
+    if (typeof left === 'number' || typeof right === 'number') {
+        const a = toNumber(left);
+        const b = toNumber(right);
+        return a !== null && b !== null && a === b;
+    }
+
+    if (isPrimitive(left) && isPrimitive(right)) {
+        return String(left) === String(right);
+    }
+
+    return JSON.stringify(left) === JSON.stringify(right);
+}
+
+// Regex escrita na configuração: limite de tamanho e sem backtracking exponencial
+function compilePattern(source, flags = '') {
+    if (source.length > MAX_REGEX_LENGTH) {
+        throw new Error(`Regex com mais de ${MAX_REGEX_LENGTH} caracteres`);
+    }
+
+    if (NESTED_QUANTIFIER.test(source)) {
+        throw new Error('Regex com quantificador aninhado, ex.: (a+)+, pode travar o bot');
+    }
+
+    if (!/^[imsu]*$/.test(flags)) {
+        throw new Error(`Flag de regex não suportada: ${flags}`);
+    }
+
+    try {
+        return new RegExp(source, flags);
+    } catch (error) {
+        throw new Error(`Regex inválida: ${error.message}`);
+    }
+}
+
+// ============================================
+// TOKENS
+// ============================================
+
+function tokenize(source) {
+    const tokens = [];
+    let position = 0;
+
+    const fail = message => ({ error: `${message} (posição ${position + 1})` });
+
+    while (position < source.length) {
+        const rest = source.slice(position);
+        const start = position;
+        const previous = tokens[tokens.length - 1];
+        let match;
+
+        if ((match = /^\s+/.exec(rest))) {
+            position += match[0].length;
+            continue;
+        }
+
+        if (rest[0] === '"' || rest[0] === '\'') {
+            const quote = rest[0];
+            let value = '';
+            let index = 1;
+
+            while (index < rest.length && rest[index] !== quote) {
+                if (rest[index] === '\\' && index + 1 < rest.length) {
+                    const escaped = rest[index + 1];
+                    value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+                    index += 2;
+                } else {
+                    value += rest[index];
+                    index++;
+                }
+            }
+
+            if (index >= rest.length) {
+                return fail('Texto sem aspas de fechamento');
+            }
+
+            tokens.push({ type: 'string', value: value, position: start });
+            position += index + 1;
+            continue;
+        }
+
+        if (rest[0] === '/') {
+            match = /^\/((?:\\.|\[(?:\\.|[^\]\\])*\]|[^/\\[\n])+)\/([a-z]*)/.exec(rest);
+            if (!match) {
+                return fail('Regex sem barra de fechamento');
+            }
+
+            if (!/^[imsu]*$/.test(match[2])) {
+                return fail(`Flag de regex não suportada: ${match[2]}`);
+            }
+
+            tokens.push({ type: 'regex', value: match[1], flags: match[2], position: start });
+            position += match[0].length;
+            continue;
+        }
+
+        // Depois de "." o número é segmento de caminho (data.itens.0.nome), não decimal
+        match = previous && previous.value === '.' && previous.type === 'punct' ? /^\d+/.exec(rest) : /^\d+(\.\d+)?/.exec(rest);
+        if (match) {
+            tokens.push({ type: 'number', value: Number(match[0]), raw: match[0], position: start });
+            position += match[0].length;
+            continue;
+        }
+
+        if ((match = /^[A-Za-z_]\w*/.exec(rest))) {
+            const word = match[0];
+            tokens.push({ type: KEYWORDS.includes(word) ? 'keyword' : 'name', value: word, position: start });
+            position += word.length;
+            continue;
+        }
+
+        if ((match = /^(==|!=|>=|<=|&&|\|\||[><!()[\],.-])/.exec(rest))) {
+            tokens.push({ type: 'punct', value: match[0], position: start });
+            position += match[0].length;
+            continue;
+        }
+
+        return fail(`Caractere inesperado "${rest[0]}"`);
+    }
+
+    tokens.push({ type: 'end', value: 'fim da expressão', position: source.length });
+    return { tokens: tokens };
+}
+
+// ============================================
+// PARSER
+// ============================================
+
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+        this.depth = 0;
+    }
+
+    get current() {
+        return this.tokens[this.index];
+    }
+
+    peek(offset = 1) {
+        return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+    }
+
+    is(...values) {
+        return ['keyword', 'punct'].includes(this.current.type) && values.includes(this.current.value);
+    }
+
+    next() {
+        const token = this.current;
+        this.index++;
+        return token;
+    }
+
+    expect(value) {
+        if (!this.is(value)) {
+            this.fail(`esperado "${value}"`);
+        }
+        return this.next();
+    }
+
+    fail(message, token = this.current) {
+        const found = token.type === 'end' ? 'fim da expressão' : `"${token.raw || token.value}"`;
+        throw new Error(`${message}, encontrado ${found} (posição ${token.position + 1})`);
+    }
+
+    parse() {
+        const node = this.parseOr();
+        if (this.current.type !== 'end') {
+            this.fail('Operador esperado');
+        }
+        return node;
+    }
+
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.is('or', '||')) {
+            this.next();
+            node = { type: 'or', left: node, right: this.parseAnd() };
+        }
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseNot();
+        while (this.is('and', '&&')) {
+            this.next();
+            node = { type: 'and', left: node, right: this.parseNot() };
+        }
+        return node;
+    }
+
+    parseNot() {
+        if (this.is('not', '!')) {
+            this.next();
+            return { type: 'not', operand: this.nested(() => this.parseNot()) };
+        }
+        return this.parseComparison();
+    }
+
+    // valor [exists | not exists | operador valor | not in/contains/matches valor]
+    parseComparison() {
+        const left = this.parseValue();
+        let negate = false;
+
+        if (this.is('not') && ['exists', ...NEGATABLE].includes(this.peek().value)) {
+            this.next();
+            negate = true;
+        }
+
+        let node = left;
+
+        if (this.is('exists')) {
+            this.next();
+            node = { type: 'exists', operand: left };
+        } else if (this.is(...COMPARISONS)) {
+            const operator = this.next().value;
+            const right = this.parseValue();
+
+            if (operator === 'matches') {
+                this.checkPattern(right);
+            }
+
+            node = { type: 'compare', operator: operator, left: left, right: right };
+        } else if (negate) {
+            this.fail('Operador esperado depois de "not"');
+        }
+
+        return negate ? { type: 'not', operand: node } : node;
+    }
+
+    parseValue() {
+        const token = this.current;
+
+        if (this.is('(')) {
+            this.next();
+            const node = this.nested(() => this.parseOr());
+            this.expect(')');
+            return node;
+        }
+
+        if (this.is('[')) {
+            return this.parseList();
+        }
+
+        if (this.is('-') && this.peek().type === 'number') {
+            this.next();
+            return { type: 'literal', value: -this.next().value };
+        }
+
+        switch (token.type) {
+            case 'string':
+            case 'number':
+                this.next();
+                return { type: 'literal', value: token.value };
+
+            case 'regex':
+                this.next();
+                return { type: 'regex', source: token.value, flags: token.flags, position: token.position };
+
+            case 'keyword':
+                if (['true', 'false', 'null'].includes(token.value)) {
+                    this.next();
+                    return { type: 'literal', value: token.value === 'null' ? null : token.value === 'true' };
+                }
+                return this.fail('Valor esperado');
+
+            case 'name':
+                return this.peek().value === '(' ? this.parseCall() : this.parsePath();
+
+            default:
+                return this.fail('Valor esperado');
+        }
+    }
+
+    parseList() {
+        this.expect('[');
+        const items = [];
+
+        while (!this.is(']')) {
+            items.push(this.parseValue());
+            if (!this.is(']')) {
+                this.expect(',');
+            }
+        }
+
+        this.next();
+        return { type: 'list', items: items };
+    }
+
+    parseCall() {
+        const token = this.next();
+        const spec = FUNCTIONS[token.value];
+
+        if (!spec) {
+            this.fail(`Função desconhecida "${token.value}" (disponíveis: ${Object.keys(FUNCTIONS).join(', ')})`, token);
+        }
+
+        this.expect('(');
+        const args = [];
+
+        while (!this.is(')')) {
+            args.push(this.nested(() => this.parseValue()));
+            if (!this.is(')')) {
+                this.expect(',');
+            }
+        }
+        this.next();
+
+        const [min, max] = spec;
+        if (args.length < min || args.length > max) {
+            const expected = min === max ? `${min}` : `${min} a ${max}`;
+            throw new Error(`${token.value}() recebe ${expected} argumento(s) (posição ${token.position + 1})`);
+        }
+
+        return { type: 'call', name: token.value, args: args };
+    }
+
+    parsePath() {
+        const token = this.next();
+
+        if (!ROOTS.includes(token.value)) {
+            this.fail(`Caminho deve começar por ${ROOTS.join(', ')} (texto entre aspas)`, token);
+        }
+
+        const segments = [];
+
+        while (this.is('.')) {
+            this.next();
+            const segment = this.current;
+
+            if (!['name', 'keyword', 'number'].includes(segment.type)) {
+                this.fail('Nome de campo esperado depois de "."');
+            }
+            if (FORBIDDEN_SEGMENTS.includes(String(segment.value))) {
+                this.fail('Campo não permitido', segment);
+            }
+
+            segments.push(String(segment.value));
+            this.next();
+        }
+
+        return { type: 'path', root: token.value, segments: segments };
+    }
+
+    checkPattern(node) {
+        if (node.type !== 'regex') {
+            return;
+        }
+
+        try {
+            node.pattern = compilePattern(node.source, node.flags);
+        } catch (error) {
+            throw new Error(`${error.message} (posição ${node.position + 1})`);
+        }
+    }
+
+    nested(parse) {
+        this.depth++;
+        if (this.depth > MAX_DEPTH) {
+            this.fail('Expressão aninhada demais');
+        }
+
+        const node = parse();
+        this.depth--;
+        return node;
+    }
+}
+
+// ============================================
+// AVALIADOR
+// ============================================
+
+class ExpressionEvaluator {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    // Árvore da expressão; lança Error com a posição do problema
+    parse(source) {
+        if (this.cache.has(source)) {
+            return this.cache.get(source);
+        }
+
+        const ast = this.compile(source);
+
+        if (this.cache.size >= MAX_CACHE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(source, ast);
+
+        return ast;
+    }
+
+    compile(source) {
+        if (typeof source !== 'string' || source.trim() === '') {
+            throw new Error('Expressão vazia');
+        }
+
+        if (source.length > MAX_LENGTH) {
+            throw new Error(`Expressão com mais de ${MAX_LENGTH} caracteres`);
+        }
+
+        try {
+            return this.parseSource(source);
+        } catch (error) {
+            const legacy = this.fromLegacy(source);
+            if (legacy === null) {
+                throw error;
+            }
+            return this.parseSource(legacy);
+        }
+    }
+
+    parseSource(source) {
+        const { tokens, error } = tokenize(source);
+        if (error) {
+            throw new Error(error);
+        }
+
+        return new Parser(tokens).parse();
+    }
+
+    // "data.campo equals valor com espaços" (formato antigo, sem aspas) vira uma comparação com texto
+    fromLegacy(source) {
+        const match = /^\s*((?:user_context|data)\.\w+)\s+(equals|contains)\s+(.+?)\s*$/.exec(source);
+        return match ? `${match[1]} ${match[2]} ${JSON.stringify(match[3])}` : null;
+    }
+
+    // Mensagem de erro da expressão ou null se for válida
+    check(source) {
+        try {
+            this.parse(source);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    // scope: { data, user_context, session }; helpers: relógio e horário de atendimento
+    evaluate(source, scope, helpers = {}) {
+        return Boolean(this.resolve(source, scope, helpers));
+    }
+
+    // Valor da expressão sem converter para booleano (ex.: "data.assunto")
+    resolve(source, scope, helpers = {}) {
+        return this.evaluateNode(this.parse(source), scope, { ...DEFAULT_HELPERS, ...helpers });
+    }
+
+    evaluateNode(node, scope, helpers) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+
+            case 'list':
+                return node.items.map(item => this.evaluateNode(item, scope, helpers));
+
+            case 'regex':
+                return node.pattern || new RegExp(node.source, node.flags);
+
+            case 'path':
+                return this.resolvePath(scope[node.root], node.segments);
+
+            case 'call':
+                return FUNCTIONS[node.name][2](node.args.map(arg => this.evaluateNode(arg, scope, helpers)), helpers);
+
+            case 'not':
+                return !this.evaluateNode(node.operand, scope, helpers);
+
+            case 'and':
+                return Boolean(this.evaluateNode(node.left, scope, helpers)) &&
+                    Boolean(this.evaluateNode(node.right, scope, helpers));
+
+            case 'or':
+                return Boolean(this.evaluateNode(node.left, scope, helpers)) ||
+                    Boolean(this.evaluateNode(node.right, scope, helpers));
+
+            case 'exists': {
+                const value = this.evaluateNode(node.operand, scope, helpers);
+                return value !== undefined && value !== null && value !== '';
+            }
+
+            case 'compare':
+                return this.compare(
+                    node.operator,
+                    this.evaluateNode(node.left, scope, helpers),
+                    this.evaluateNode(node.right, scope, helpers)
+                );
+
+            default:
+                return false;
+        }
+    }
+
+    resolvePath(value, segments) {
+        let current = value;
+
+        for (const segment of segments) {
+            if (current === undefined || current === null || typeof current !== 'object') {
+                return undefined;
+            }
+            if (!Object.prototype.hasOwnProperty.call(current, segment)) {
+                return undefined;
+            }
+            current = current[segment];
+        }
+
+        return current;
+    }
+
+    compare(operator, left, right) {
+        switch (operator) {
+            case '==':
+            case 'equals':
+                return looseEquals(left, right);
+
+            case '!=':
+                return !looseEquals(left, right);
+
+            case '>':
+            case '>=':
+            case '<':
+            case '<=': {
+                const a = toNumber(left);
+                const b = toNumber(right);
+                if (a === null || b === null) {
+                    return false;
+                }
+                return operator === '>' ? a > b : operator === '>=' ? a >= b : operator === '<' ? a < b : a <= b;
+            }
+
+            case 'contains':
+                if (Array.isArray(left)) {
+                    return left.some(item => looseEquals(item, right));
+                }
+                return typeof left === 'string' && right !== undefined && right !== null && left.includes(String(right));
+
+            case 'in':
+                return this.compare('contains', right, left);
+
+            case 'matches': {
+                if (left === undefined || left === null) {
+                    return false;
+                }
+                const pattern = right instanceof RegExp ? right : this.toPattern(right);
+                return this.testPattern(pattern, left);
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    // Padrão vindo de um campo ou da configuração: null se não for uma regex segura
+    toPattern(source, flags = '') {
+        try {
+            return typeof source === 'string' ? compilePattern(source, flags) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Só o começo do texto é testado: uma mensagem longa não amplifica um padrão caro
+    testPattern(pattern, value) {
+        return pattern !== null && pattern.test(String(value).slice(0, MAX_MATCH_LENGTH));
+    }
+
+    // Mensagem de erro da regex ou null se ela puder ser usada
+    checkPattern(source, flags = '') {
+        try {
+            compilePattern(source, flags);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+}
+
+module.exports = new ExpressionEvaluator();
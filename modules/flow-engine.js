@@ -1,13 +1,25 @@
 const database = require('../database/database');
 const AIBrain = require('../ai/brain');
+const BusinessHours = require('./business-hours');
+const HttpRequest = require('./http-request');
+const expression = require('./expression');
 const logger = require('../logs/logger');
 const security = require('../security/encryption');
+const crypto = require('crypto');
+
+// Quantidade de entradas do histórico mantidas no banco por usuário
+const MAX_PERSISTED_HISTORY = 50;
 
 class FlowEngine {
-    constructor(config) {
+    // store: onde o estado dos usuários é guardado (o banco; o simulador passa um em memória)
+    constructor(config, store = database) {
         this.config = config;
-        this.userStates = new Map(); // Estado de cada usuário
+        this.store = store;
+        this.userStates = new Map(); // Cache do estado de cada usuário (persistido em flow_states)
+        this.flowVersions = this.computeFlowVersions(config.flows);
         this.validators = this.setupValidators();
+        this.businessHours = new BusinessHours(this);
+        this.http = new HttpRequest(this);
         
         logger.info('🔄 Flow Engine initialized');
     }
@@ -16,7 +28,8 @@ class FlowEngine {
     // PROCESSAR MENSAGEM NO FLUXO
     // ============================================
     
-    async processMessage(phone, message, userContext) {
+    // session: sessão do atendimento, visível nas expressões dos steps condition
+    async processMessage(phone, message, userContext, attachment = null, session = null) {
         try {
             // Obter ou criar estado do usuário
             let userState = this.getUserState(phone);
@@ -31,7 +44,10 @@ class FlowEngine {
             }
             
             // Processar input do usuário no step atual
-            const result = await this.processStep(phone, message, userState, userContext);
+            const result = await this.processStep(phone, message, userState, userContext, attachment, session);
+
+            // Persistir o estado resultante (se o fluxo não foi resetado no caminho)
+            this.persistUserState(phone);
             
             return result;
             
@@ -50,10 +66,28 @@ class FlowEngine {
     // ============================================
     
     getUserState(phone) {
-        return this.userStates.get(phone);
+        if (this.userStates.has(phone)) {
+            return this.userStates.get(phone);
+        }
+
+        // Reidratar do banco (após restart ou reload de configuração)
+        const stored = this.store.getFlowState(phone);
+        if (!stored) {
+            return undefined;
+        }
+
+        const userState = this.migrateUserState(stored);
+        if (!userState) {
+            this.store.deleteFlowState(phone);
+            return undefined;
+        }
+
+        this.userStates.set(phone, userState);
+        return userState;
     }
 
-    initializeUserFlow(phone, flowId, userContext) {
+    // options (disparo via API): stepId inicial e data com as variáveis já conhecidas
+    initializeUserFlow(phone, flowId, userContext, options = {}) {
         const flow = this.config.flows[flowId];
         
         if (!flow) {
@@ -61,19 +95,27 @@ class FlowEngine {
             return null;
         }
 
+        const startIndex = options.stepId ? flow.steps.findIndex(s => s.id === options.stepId) : 0;
+        if (startIndex === -1) {
+            logger.error(`Step not found: ${options.stepId}`);
+            return null;
+        }
+
         const userState = {
             phone: phone,
             currentFlow: flowId,
-            currentStep: 0,
-            stepId: flow.steps[0].id,
-            data: {},
+            currentStep: startIndex,
+            stepId: flow.steps[startIndex].id,
+            data: { ...(options.data || {}) },
             context: userContext || {},
             retryCount: 0,
             history: [],
-            startedAt: Date.now()
+            startedAt: Date.now(),
+            flowVersion: this.flowVersions[flowId]
         };
 
         this.userStates.set(phone, userState);
+        this.persistUserState(phone);
         logger.info(`Flow initialized for ${phone}: ${flowId}`);
         
         return userState;
@@ -84,19 +126,140 @@ class FlowEngine {
         if (state) {
             Object.assign(state, updates);
             this.userStates.set(phone, state);
+            this.persistUserState(phone);
         }
     }
 
     resetUserFlow(phone) {
         this.userStates.delete(phone);
+        this.store.deleteFlowState(phone);
         logger.info(`Flow reset for ${phone}`);
     }
 
+    persistUserState(phone) {
+        const state = this.userStates.get(phone);
+        if (!state) {
+            return;
+        }
+
+        try {
+            this.store.saveFlowState(phone, {
+                currentFlow: state.currentFlow,
+                stepId: state.stepId,
+                currentStep: state.currentStep,
+                flowVersion: state.flowVersion,
+                data: state.data,
+                retryCount: state.retryCount,
+                history: state.history.slice(-MAX_PERSISTED_HISTORY),
+                waitingInput: state.waitingInput,
+                extra: {
+                    expectedInput: state.expectedInput,
+                    validationType: state.validationType,
+                    previousFlow: state.previousFlow
+                },
+                startedAt: state.startedAt
+            });
+        } catch (error) {
+            logger.error(`Error persisting flow state for ${phone}:`, error);
+        }
+    }
+
+    // ============================================
+    // MIGRAÇÃO DE ESTADO (FLUXO ALTERADO)
+    // ============================================
+
+    // Nova configuração sem perder quem está no meio de um fluxo: só os usuários de fluxos
+    // alterados saem do cache, e na próxima mensagem o estado salvo é migrado pelo id do step
+    reload(config) {
+        const previousVersions = this.flowVersions;
+
+        this.config = config;
+        this.flowVersions = this.computeFlowVersions(config.flows);
+
+        for (const [phone, state] of this.userStates) {
+            if (this.flowVersions[state.currentFlow] !== previousVersions[state.currentFlow]) {
+                this.userStates.delete(phone);
+            }
+        }
+    }
+
+    computeFlowVersions(flows = {}) {
+        const versions = {};
+        for (const [flowId, flow] of Object.entries(flows)) {
+            versions[flowId] = crypto
+                .createHash('sha1')
+                .update(JSON.stringify(flow.steps || []))
+                .digest('hex');
+        }
+        return versions;
+    }
+
+    // Converte o estado salvo para a definição atual do fluxo, mantendo o usuário no mesmo step
+    migrateUserState(stored) {
+        const flow = this.config.flows[stored.currentFlow];
+
+        if (!flow || !flow.steps || flow.steps.length === 0) {
+            logger.warn(`Flow ${stored.currentFlow} no longer exists, discarding state for ${stored.phone}`);
+            return null;
+        }
+
+        const userState = {
+            phone: stored.phone,
+            currentFlow: stored.currentFlow,
+            currentStep: stored.currentStep,
+            stepId: stored.stepId,
+            data: stored.data,
+            // O contexto não vai em flow_states: vem do user_context, como no início do fluxo
+            context: this.store.getUserContext(stored.phone) || {},
+            retryCount: stored.retryCount,
+            history: stored.history,
+            waitingInput: stored.waitingInput,
+            expectedInput: stored.extra.expectedInput,
+            validationType: stored.extra.validationType,
+            previousFlow: stored.extra.previousFlow,
+            startedAt: stored.startedAt,
+            flowVersion: stored.flowVersion
+        };
+
+        const currentVersion = this.flowVersions[stored.currentFlow];
+        if (stored.flowVersion === currentVersion) {
+            return userState;
+        }
+
+        // Fluxo mudou: localizar o step pelo id, não pela posição
+        let stepIndex = flow.steps.findIndex(s => s.id === stored.stepId);
+
+        if (stepIndex === -1) {
+            // Step removido: voltar ao último step visitado que ainda existe
+            const visited = [...stored.history].reverse().find(entry =>
+                flow.steps.some(s => s.id === entry.stepId)
+            );
+            stepIndex = visited ? flow.steps.findIndex(s => s.id === visited.stepId) : 0;
+            userState.waitingInput = false;
+            userState.retryCount = 0;
+            logger.warn(`Step ${stored.stepId} removed from ${stored.currentFlow}, moving ${stored.phone} to ${flow.steps[stepIndex].id}`);
+        } else {
+            // Se o tipo do step mudou, a pergunta precisa ser refeita
+            const lastVisit = [...stored.history].reverse().find(entry => entry.stepId === stored.stepId);
+            if (lastVisit && lastVisit.type !== flow.steps[stepIndex].type) {
+                userState.waitingInput = false;
+                userState.retryCount = 0;
+            }
+        }
+
+        userState.currentStep = stepIndex;
+        userState.stepId = flow.steps[stepIndex].id;
+        userState.flowVersion = currentVersion;
+
+        logger.info(`Flow state migrated for ${stored.phone}: ${stored.currentFlow}/${userState.stepId}`);
+        return userState;
+    }
+
     // ============================================
     // PROCESSAR STEP
     // ============================================
     
-    async processStep(phone, message, userState, userContext) {
+    async processStep(phone, message, userState, userContext, attachment = null, session = null) {
         const flow = this.config.flows[userState.currentFlow];
         const step = flow.steps[userState.currentStep];
 
@@ -121,6 +284,12 @@ class FlowEngine {
             case 'capture_data':
                 return await this.handleCaptureDataStep(phone, message, step, userState, userContext);
             
+            case 'capture_media':
+                return this.handleCaptureMediaStep(phone, step, userState, userContext, attachment);
+
+            case 'send_media':
+                return this.handleSendMediaStep(phone, step, userState, userContext);
+
             case 'quick_reply':
                 return await this.handleQuickReplyStep(phone, message, step, userState, userContext);
             
@@ -131,7 +300,13 @@ class FlowEngine {
                 return await this.handleActionStep(phone, step, userState, userContext);
             
             case 'condition':
-                return await this.handleConditionStep(phone, message, step, userState, userContext);
+                return await this.handleConditionStep(phone, message, step, userState, userContext, session);
+
+            case 'switch':
+                return this.handleSwitchStep(phone, message, step, userState, userContext, session);
+
+            case 'http_request':
+                return this.handleHttpRequestStep(phone, step, userState, userContext);
             
             default:
                 logger.error(`Unknown step type: ${step.type}`);
@@ -202,7 +377,7 @@ class FlowEngine {
         userState.data.lastMenuChoice = option.id;
 
         // Salvar no contexto
-        database.saveUserContext(phone, {
+        this.store.saveUserContext(phone, {
             name: userContext.name,
             lastMenuChoice: option.id
         });
@@ -272,12 +447,14 @@ class FlowEngine {
         // Salvar no estado do fluxo
         userState.data[step.field] = value;
         
-        // Salvar no contexto do usuário
+        // Salvar no contexto do usuário (o bot avisa como lead capturado)
+        let lead = null;
         if (step.save_to) {
             const path = step.save_to.split('.');
             if (path[0] === 'user_context') {
                 userContext[path[1]] = value;
-                database.saveUserContext(phone, userContext);
+                this.store.saveUserContext(phone, userContext);
+                lead = { field: path[1], value: value };
             }
         }
 
@@ -293,10 +470,132 @@ class FlowEngine {
         return {
             message: `✅ Perfeito!`,
             delay: 500,
+            lead: lead,
             continue: !!step.next
         };
     }
 
+    // CAPTURE MEDIA STEP - Aguarda um arquivo (ou localização) do usuário
+    handleCaptureMediaStep(phone, step, userState, userContext, attachment) {
+        if (!userState.waitingInput) {
+            const question = this.replaceVariables(step.message, userState, userContext);
+
+            userState.waitingInput = true;
+            userState.expectedInput = step.field;
+            this.updateUserState(phone, userState);
+
+            return {
+                message: question,
+                waitingInput: true
+            };
+        }
+
+        const rejection = this.checkCapturedMedia(step, attachment);
+
+        if (rejection) {
+            userState.retryCount++;
+
+            if (userState.retryCount >= (step.max_retries || 3)) {
+                return this.handleMaxRetriesExceeded(phone, userState);
+            }
+
+            return {
+                message: `${rejection}\n\n${step.message}`,
+                waitingInput: true
+            };
+        }
+
+        // No estado do fluxo fica a referência ao anexo (o arquivo está em attachments)
+        const reference = {
+            attachmentId: attachment.id,
+            type: attachment.type,
+            mimetype: attachment.mimetype || null,
+            filename: attachment.filename || null,
+            latitude: attachment.latitude ?? null,
+            longitude: attachment.longitude ?? null
+        };
+        userState.data[step.field] = reference;
+
+        // user_context.campo: guarda o id do anexo nas preferências do contato
+        if (step.save_to) {
+            const key = step.save_to.split('.')[1];
+            const preferences = typeof userContext.preferences === 'string'
+                ? JSON.parse(userContext.preferences || '{}')
+                : { ...(userContext.preferences || {}) };
+
+            preferences[key] = reference.attachmentId;
+            userContext.preferences = preferences;
+            this.store.saveUserContext(phone, userContext);
+        }
+
+        userState.waitingInput = false;
+        userState.retryCount = 0;
+
+        if (step.next) {
+            this.moveToNextStep(phone, userState, step.next);
+        }
+
+        return {
+            message: step.success_message || '✅ Recebido!',
+            delay: 500,
+            continue: Boolean(step.next)
+        };
+    }
+
+    // Motivo da recusa do arquivo (null quando aceito)
+    checkCapturedMedia(step, attachment) {
+        const retryMessage = step.retry_message || '❌ Por favor, envie o arquivo solicitado.';
+        const accepted = step.media_types || ['image', 'document'];
+
+        if (!attachment || !accepted.includes(attachment.type)) {
+            return retryMessage;
+        }
+
+        if (attachment.type === 'location') {
+            return null;
+        }
+
+        if (step.mimetypes && !step.mimetypes.some(pattern => this.matchMimetype(attachment.mimetype, pattern))) {
+            return retryMessage;
+        }
+
+        if (step.max_size && attachment.size > step.max_size) {
+            const limit = step.max_size >= 1048576
+                ? `${(step.max_size / 1048576).toFixed(1)} MB`
+                : `${Math.ceil(step.max_size / 1024)} KB`;
+            return (step.size_message || '❌ Arquivo muito grande (máximo {max_size}).').replace('{max_size}', limit);
+        }
+
+        // Download falhou ou passou do limite global de armazenamento
+        if (!attachment.path) {
+            return '❌ Não consegui receber o arquivo. Tente enviar novamente.';
+        }
+
+        return null;
+    }
+
+    // "image/png" exato ou "image/*" para qualquer imagem
+    matchMimetype(mimetype, pattern) {
+        const base = String(mimetype || '').split(';')[0].trim().toLowerCase();
+        const expected = pattern.toLowerCase();
+
+        return expected.endsWith('/*') ? base.startsWith(expected.slice(0, -1)) : base === expected;
+    }
+
+    // SEND MEDIA STEP - Envia mídia da biblioteca (media_id) ou URL
+    handleSendMediaStep(phone, step, userState, userContext) {
+        if (step.next) {
+            this.moveToNextStep(phone, userState, step.next);
+        }
+
+        return {
+            media: step.media_id ? { mediaId: step.media_id } : { url: step.url },
+            caption: step.caption ? this.replaceVariables(step.caption, userState, userContext) : '',
+            delay: step.delay || 0,
+            continue: Boolean(step.next)
+        };
+    }
+
     // QUICK REPLY STEP - Respostas rápidas
     async handleQuickReplyStep(phone, message, step, userState, userContext) {
         if (!userState.waitingInput) {
@@ -425,6 +724,10 @@ class FlowEngine {
 
             case 'generate_boleto':
                 // Simular geração de boleto
+                if (step.next) {
+                    this.moveToNextStep(phone, userState, step.next);
+                }
+
                 return {
                     message: step.success_message || 'Boleto gerado com sucesso!',
                     action: 'boleto_generated',
@@ -434,6 +737,10 @@ class FlowEngine {
             case 'send_email':
                 // Simular envio de email
                 logger.info(`📧 Email would be sent to ${userContext.email}`);
+                if (step.next) {
+                    this.moveToNextStep(phone, userState, step.next);
+                }
+
                 return {
                     message: 'E-mail enviado com sucesso!',
                     continue: !!step.next
@@ -449,9 +756,9 @@ class FlowEngine {
     }
 
     // CONDITION STEP - Condições lógicas
-    async handleConditionStep(phone, message, step, userState, userContext) {
+    async handleConditionStep(phone, message, step, userState, userContext, session = null) {
         // Avaliar condição
-        const condition = this.evaluateCondition(step.condition, userState, userContext);
+        const condition = this.evaluateCondition(step.condition, userState, userContext, session);
 
         if (condition) {
             // Condição verdadeira
@@ -470,6 +777,115 @@ class FlowEngine {
         return { message: 'Erro na condição.' };
     }
 
+    // SWITCH STEP - Roteamento por palavras-chave, regex, intenção, sentimento ou dados
+    handleSwitchStep(phone, message, step, userState, userContext, session = null) {
+        // Com pergunta própria, espera a resposta; sem, usa a última mensagem do cliente
+        if (step.message && !userState.waitingInput) {
+            userState.waitingInput = true;
+            this.updateUserState(phone, userState);
+
+            return {
+                message: this.replaceVariables(step.message, userState, userContext),
+                waitingInput: true
+            };
+        }
+
+        userState.waitingInput = false;
+
+        const scope = { data: userState.data, user_context: userContext || {}, session: session || {} };
+        const input = step.input ? expression.resolve(step.input, scope) : message || this.getLastInput(userState);
+        const text = input === undefined || input === null ? '' : String(input);
+        const index = step.cases.findIndex(
+            switchCase => this.matchSwitchCase(switchCase, text, userState, userContext, session)
+        );
+        const target = index === -1 ? step.default : step.cases[index].next;
+
+        logger.info(`Switch ${step.id} for ${phone}: ${index === -1 ? 'default' : `case ${index}`} → ${target}`);
+        userState.data.switchCase = index === -1 ? 'default' : step.cases[index].label || String(index);
+
+        if (!this.moveToNextStep(phone, userState, target)) {
+            return { message: 'Erro no fluxo.', error: true };
+        }
+
+        return { continue: true };
+    }
+
+    // Todos os critérios informados no caso precisam casar
+    matchSwitchCase(switchCase, text, userState, userContext, session) {
+        const clean = AIBrain.sanitize(text);
+        const checks = [];
+
+        if (switchCase.keywords) {
+            checks.push(() => this.matchKeywords(clean, switchCase.keywords));
+        }
+
+        if (switchCase.department_keywords !== undefined) {
+            const department = this.config.departments.find(d => d.id === switchCase.department_keywords);
+            checks.push(() => Boolean(department) && this.matchKeywords(clean, department.keywords || []));
+        }
+
+        if (switchCase.regex) {
+            const pattern = expression.toPattern(switchCase.regex, switchCase.flags);
+            checks.push(() => expression.testPattern(pattern, text));
+        }
+
+        if (switchCase.intent) {
+            checks.push(() => [].concat(switchCase.intent).includes(AIBrain.detectIntent(clean)));
+        }
+
+        if (switchCase.sentiment) {
+            checks.push(() => [].concat(switchCase.sentiment).includes(AIBrain.analyzeSentiment(clean).classification));
+        }
+
+        if (switchCase.condition) {
+            checks.push(() => this.evaluateCondition(switchCase.condition, userState, userContext, session));
+        }
+
+        return checks.length > 0 && checks.every(check => check());
+    }
+
+    // Palavra-chave no início de uma palavra, sem acento nem caixa ("preço" casa com "precos")
+    matchKeywords(clean, keywords) {
+        return keywords.some((keyword) => {
+            const word = AIBrain.sanitize(keyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return word !== '' && new RegExp(`\\b${word}`).test(clean);
+        });
+    }
+
+    getLastInput(userState) {
+        const last = [...userState.history].reverse().find(entry => entry.input);
+        return last ? last.input : '';
+    }
+
+    // HTTP REQUEST STEP - Chamada a um sistema externo; segue para on_success (2xx) ou on_error
+    async handleHttpRequestStep(phone, step, userState, userContext) {
+        // Mesma precedência do replaceVariables: contexto do contato antes dos dados do fluxo
+        const variables = { ...userState.data, ...(userContext || {}) };
+        const response = await this.http.send({
+            method: step.method || 'GET',
+            url: this.http.render(step.url, variables, { encode: true }),
+            headers: this.http.render(step.headers || {}, variables, { env: true }),
+            body: step.body === undefined ? undefined : this.http.render(step.body, variables, { keepType: true }),
+            timeout: step.timeout,
+            retries: step.retries
+        });
+
+        userState.data.httpStatus = response.status;
+        userState.data.httpError = response.error;
+
+        if (response.ok) {
+            Object.entries(step.response_mapping || {}).forEach(([field, path]) => {
+                userState.data[field] = this.http.readPath(response.data, path) ?? null;
+            });
+        }
+
+        if (!this.moveToNextStep(phone, userState, response.ok ? step.on_success : step.on_error)) {
+            return { message: 'Erro no fluxo.', error: true };
+        }
+
+        return { continue: true };
+    }
+
     // ============================================
     // NAVEGAÇÃO DE FLUXO
     // ============================================
@@ -478,6 +894,14 @@ class FlowEngine {
         const flow = this.config.flows[userState.currentFlow];
         const nextIndex = flow.steps.findIndex(s => s.id === nextStepId);
 
+        // O destino também pode ser outro fluxo (ex.: "next": "main_flow")
+        if (nextIndex === -1 && this.config.flows[nextStepId]) {
+            this.resetUserFlow(phone);
+            this.initializeUserFlow(phone, nextStepId, userState.context);
+            logger.info(`User ${phone} moved to flow ${nextStepId}`);
+            return true;
+        }
+
         if (nextIndex === -1) {
             logger.error(`Step not found: ${nextStepId}`);
             return false;
@@ -494,6 +918,12 @@ class FlowEngine {
     gotoFlow(phone, flowId, userState, userContext) {
         const newFlow = this.config.flows[flowId];
 
+        // Menu "goto" para um step do próprio fluxo
+        if (!newFlow && this.config.flows[userState.currentFlow].steps.some(s => s.id === flowId)) {
+            this.moveToNextStep(phone, userState, flowId);
+            return { continue: true };
+        }
+
         if (!newFlow) {
             logger.error(`Flow not found: ${flowId}`);
             return { message: 'Erro ao trocar fluxo.', error: true };
@@ -693,34 +1123,19 @@ class FlowEngine {
         return dept ? dept.transfer_message : 'Transferindo...';
     }
 
-    evaluateCondition(condition, userState, userContext) {
-        // Implementação básica de condições
-        // Exemplo: "user_context.email exists"
-        // Exemplo: "data.interest contains 'software'"
-        
+    // Expressão do step condition (sintaxe em modules/expression.js); erro de avaliação conta como falsa
+    evaluateCondition(condition, userState, userContext, session = null) {
         try {
-            const parts = condition.split(' ');
-            const path = parts[0].split('.');
-            const operator = parts[1];
-            const value = parts.slice(2).join(' ');
-
-            let target;
-            if (path[0] === 'user_context') {
-                target = userContext[path[1]];
-            } else if (path[0] === 'data') {
-                target = userState.data[path[1]];
-            }
-
-            switch (operator) {
-                case 'exists':
-                    return !!target;
-                case 'equals':
-                    return target === value;
-                case 'contains':
-                    return target && target.includes(value);
-                default:
-                    return false;
-            }
+            return expression.evaluate(condition, {
+                data: userState.data,
+                user_context: userContext || {},
+                session: session || {}
+            }, {
+                isBusinessHours: departmentId => this.businessHours.isOpen(
+                    departmentId === undefined ? null : this.config.departments.find(d => d.id === departmentId)
+                ),
+                localTime: () => this.businessHours.getLocalTime()
+            });
         } catch (error) {
             logger.error('Error evaluating condition:', error);
             return false;
@@ -753,7 +1168,7 @@ class FlowEngine {
 
     getStats() {
         return {
-            activeUsers: this.userStates.size,
+            activeUsers: this.store.countFlowStates(),
             totalFlows: Object.keys(this.config.flows).length,
             mode: this.config.mode
         };
@@ -0,0 +1,144 @@
+/**
+ * ============================================
+ * FLOW TRIGGER - Disparo de Fluxos
+ * Sistemas externos iniciam um fluxo para um contato (boleto vencendo, pedido enviado) sem esperar a primeira mensagem
+ * ============================================
+ *
+ * O fluxo roda no mesmo FlowEngine do atendimento: o estado é criado no step escolhido, com as
+ * variáveis em data, e o step é processado como uma mensagem vazia (envia a pergunta/mensagem
+ * e segue até esperar a resposta). As respostas do cliente continuam o fluxo normalmente.
+ */
+
+const database = require('../database/database');
+const logger = require('../logs/logger');
+
+// Nome da variável: o mesmo formato dos {placeholders} das mensagens
+const VARIABLE_NAME = /^\w+$/;
+
+class FlowTrigger {
+    constructor(bot) {
+        this.bot = bot;
+    }
+
+    /**
+     * data: { phone, variables, step, name, force }
+     * step: id do step inicial (padrão: o primeiro); force: substitui uma conversa em andamento
+     */
+    async trigger(flowId, data = {}) {
+        const flow = this.bot.config.flows[flowId];
+        if (!flow) {
+            return { success: false, status: 404, error: `Fluxo não encontrado: ${flowId}` };
+        }
+
+        const error = this.validate(flow, data);
+        if (error) {
+            return { success: false, status: 400, error: error };
+        }
+
+        const phone = this.bot.constructor.toChatId(String(data.phone));
+
+        // Envio ativo: mesmas regras de consentimento das campanhas e mensagens manuais
+        if (!this.bot.consent.canReceive(phone)) {
+            return { success: false, status: 403, error: 'Contato não autorizou o recebimento de mensagens (opt-out)' };
+        }
+
+        if (!this.bot.businessHours.isOpen()) {
+            const nextOpening = this.bot.businessHours.getNextOpening();
+            return {
+                success: false,
+                status: 409,
+                error: `Fora do horário de atendimento, reabre ${this.bot.businessHours.formatOpening(nextOpening)}`,
+                nextOpening: nextOpening
+            };
+        }
+
+        let session = this.bot.getSession(phone);
+
+        if (session && session.needsHuman) {
+            return { success: false, status: 409, error: 'Contato está em atendimento humano' };
+        }
+
+        if (session && !data.force) {
+            return {
+                success: false,
+                status: 409,
+                error: 'Contato está em uma conversa em andamento (use force para substituir o fluxo atual)'
+            };
+        }
+
+        let userContext = database.getUserContext(phone);
+        if (!userContext) {
+            userContext = {
+                phone: phone,
+                name: data.name || null,
+                interaction_count: 0
+            };
+            database.saveUserContext(phone, userContext);
+        }
+
+        if (!session) {
+            session = this.bot.createSession(phone, data.name || userContext.name || phone.split('@')[0]);
+        }
+        session.lastInteraction = Date.now();
+
+        const stepId = data.step || flow.steps[0].id;
+        const { flowEngine } = this.bot;
+
+        flowEngine.initializeUserFlow(phone, flowId, userContext, {
+            stepId: stepId,
+            data: data.variables || {}
+        });
+
+        const result = await flowEngine.processMessage(phone, '', userContext, null, session);
+        await this.bot.handleFlowResult(phone, result, session, userContext);
+
+        const state = flowEngine.getUserState(phone);
+        const payload = {
+            phone: phone,
+            flowId: flowId,
+            step: stepId,
+            sessionId: session.id,
+            currentStep: state ? state.stepId : null,
+            waitingInput: Boolean(state && state.waitingInput)
+        };
+
+        database.saveMetric('flow_triggered', { ...payload, timestamp: new Date().toISOString() });
+        this.bot.emit('flow-triggered', payload);
+
+        logger.info(`▶️ Flow ${flowId} triggered for ${phone} at step ${stepId}`);
+
+        return { success: true, status: 202, data: payload };
+    }
+
+    validate(flow, data) {
+        const digits = String(data.phone || '').replace(/\D/g, '');
+        if (!data.phone || String(data.phone).includes('@g.us') || digits.length < 10 || digits.length > 15) {
+            return 'phone deve ser o número do contato com DDI e DDD (10 a 15 dígitos)';
+        }
+
+        if (data.step !== undefined && !flow.steps.some(step => step.id === data.step)) {
+            return `Step não encontrado no fluxo: ${data.step}`;
+        }
+
+        if (data.variables === undefined) {
+            return null;
+        }
+
+        if (!data.variables || typeof data.variables !== 'object' || Array.isArray(data.variables)) {
+            return 'variables deve ser um objeto ({ "pedido": "123" })';
+        }
+
+        for (const [key, value] of Object.entries(data.variables)) {
+            if (!VARIABLE_NAME.test(key)) {
+                return `Nome de variável inválido: ${key} (use letras, números e _)`;
+            }
+            if (value !== null && typeof value === 'object') {
+                return `A variável ${key} deve ser texto, número ou booleano`;
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = FlowTrigger;
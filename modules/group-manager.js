@@ -0,0 +1,102 @@
+/**
+ * ============================================
+ * GROUP MANAGER - Grupos do WhatsApp
+ * Grupos liberados, acionamento por menção/prefixo e estado por participante
+ * ============================================
+ */
+
+const DEFAULTS = {
+    enabled: false,
+    allowlist: [],
+    command_prefix: '!bot',
+    reply_on_mention: true,
+    mention_author: true
+};
+
+// Separador da chave de conversa "grupo/participante"
+const KEY_SEPARATOR = '/';
+
+class GroupManager {
+    constructor(bot) {
+        this.bot = bot;
+    }
+
+    get settings() {
+        return { ...DEFAULTS, ...(this.bot.config.groups || {}) };
+    }
+
+    isGroupChat(chatId) {
+        return String(chatId || '').endsWith('@g.us');
+    }
+
+    isAllowed(groupId) {
+        return this.settings.enabled && this.settings.allowlist.includes(groupId);
+    }
+
+    // ============================================
+    // CHAVE DA CONVERSA
+    // ============================================
+
+    // Cada participante tem sua própria sessão e estado de fluxo dentro do grupo
+    toKey(groupId, author) {
+        return `${groupId}${KEY_SEPARATOR}${author}`;
+    }
+
+    parseKey(key) {
+        const [chatId, author] = String(key).split(KEY_SEPARATOR);
+        return { chatId: chatId, author: author || null };
+    }
+
+    // ============================================
+    // ACIONAMENTO
+    // ============================================
+
+    // Retorna o texto a processar (sem prefixo/menção) ou null quando o bot deve ignorar
+    match(message) {
+        if (!this.isAllowed(message.from) || !message.author) {
+            return null;
+        }
+
+        const body = String(message.body || '').trim();
+        const prefix = this.settings.command_prefix;
+
+        if (prefix && body.toLowerCase().startsWith(prefix.toLowerCase())) {
+            return body.slice(prefix.length).trim();
+        }
+
+        const botId = this.bot.client.info && this.bot.client.info.wid
+            ? this.bot.client.info.wid._serialized
+            : null;
+
+        if (this.settings.reply_on_mention && botId && (message.mentionedIds || []).includes(botId)) {
+            return body.replace(new RegExp(`@${botId.split('@')[0]}\\b`, 'g'), '').trim();
+        }
+
+        return null;
+    }
+
+    // ============================================
+    // ENVIO
+    // ============================================
+
+    // Destino real do envio: no grupo a resposta menciona o participante
+    resolve(to, message) {
+        const { chatId, author } = this.parseKey(to);
+
+        if (!author || !this.isGroupChat(chatId)) {
+            return { chatId: to, body: message, mentions: null };
+        }
+
+        if (!this.settings.mention_author) {
+            return { chatId: chatId, body: message, mentions: null };
+        }
+
+        return {
+            chatId: chatId,
+            body: `@${author.split('@')[0]} ${message}`,
+            mentions: [author]
+        };
+    }
+}
+
+module.exports = GroupManager;
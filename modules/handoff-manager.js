@@ -0,0 +1,192 @@
+/**
+ * ============================================
+ * HANDOFF MANAGER - Atendimento Humano
+ * Fila de conversas transferidas, atribuição a atendentes e devolução ao bot
+ * ============================================
+ */
+
+const database = require('../database/database');
+const logger = require('../logs/logger');
+
+class HandoffManager {
+    constructor(bot) {
+        this.bot = bot;
+    }
+
+    get settings() {
+        return this.bot.config.handoff || {};
+    }
+
+    // ============================================
+    // SOLICITAÇÃO (BOT -> HUMANO)
+    // ============================================
+
+    request(phone, session, reason = 'transfer_human') {
+        if (session.needsHuman) {
+            return session;
+        }
+
+        session.needsHuman = true;
+        session.assignedAgent = null;
+        session.transferredAt = Date.now();
+
+        database.updateSessionHandoff(session.id, true);
+
+        this.bot.emit('handoff-requested', {
+            ...this.serialize(session),
+            reason: reason
+        });
+
+        return session;
+    }
+
+    // Mensagem do cliente enquanto está com humano: o bot fica em silêncio
+    onCustomerMessage(session, message) {
+        this.bot.emit('handoff-message', {
+            phone: session.phone,
+            sessionId: session.id,
+            assignedAgent: session.assignedAgent,
+            message: message,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // ============================================
+    // FILA
+    // ============================================
+
+    getQueue() {
+        const now = Date.now();
+
+        return this.bot.getAllSessions()
+            .filter((session) => session.needsHuman)
+            .sort((a, b) => a.transferredAt - b.transferredAt)
+            .map((session) => ({
+                ...this.serialize(session),
+                waitingMs: now - session.transferredAt
+            }));
+    }
+
+    getHistory(phone, limit = 50) {
+        return database.getConversationHistory(phone, limit).reverse();
+    }
+
+    // ============================================
+    // AÇÕES DO ATENDENTE
+    // ============================================
+
+    async claim(phone, agent) {
+        const session = this.bot.getSession(phone);
+
+        if (!session || !session.needsHuman) {
+            return { success: false, status: 404, error: 'Conversa não está aguardando atendimento humano' };
+        }
+
+        if (session.assignedAgent && session.assignedAgent !== agent) {
+            return { success: false, status: 409, error: `Conversa já assumida por ${session.assignedAgent}` };
+        }
+
+        session.assignedAgent = agent;
+        session.claimedAt = Date.now();
+        database.updateSessionHandoff(session.id, true, agent);
+        await this.bot.queues.markServed(phone, agent);
+
+        if (this.settings.claim_message) {
+            await this.bot.sendMessage(phone, this.settings.claim_message.replace('{agent}', agent));
+        }
+
+        logger.info(`👤 ${agent} claimed conversation ${phone}`);
+        this.bot.emit('handoff-claimed', this.serialize(session));
+
+        return { success: true, data: this.serialize(session) };
+    }
+
+    async reply(phone, agent, message) {
+        const session = this.bot.getSession(phone);
+
+        if (!session || !session.needsHuman) {
+            return { success: false, status: 404, error: 'Conversa não está em atendimento humano' };
+        }
+
+        if (session.assignedAgent !== agent) {
+            return { success: false, status: 409, error: 'Assuma a conversa antes de responder' };
+        }
+
+        const prefix = (this.settings.reply_prefix || '').replace('{agent}', agent);
+        const sent = await this.bot.sendMessage(phone, `${prefix}${message}`, {
+            sender: 'agent',
+            departmentId: session.department,
+            sessionId: session.id
+        });
+
+        if (!sent) {
+            return { success: false, status: 502, error: 'Falha ao enviar mensagem' };
+        }
+
+        session.lastInteraction = Date.now();
+
+        this.bot.emit('handoff-reply', {
+            phone: phone,
+            sessionId: session.id,
+            agent: agent,
+            message: message,
+            timestamp: new Date().toISOString()
+        });
+
+        return { success: true };
+    }
+
+    async release(phone, agent) {
+        const session = this.bot.getSession(phone);
+
+        if (!session || !session.needsHuman) {
+            return { success: false, status: 404, error: 'Conversa não está em atendimento humano' };
+        }
+
+        if (session.assignedAgent && session.assignedAgent !== agent) {
+            return { success: false, status: 409, error: `Conversa pertence a ${session.assignedAgent}` };
+        }
+
+        session.needsHuman = false;
+        session.assignedAgent = null;
+        session.department = null;
+        database.updateSessionHandoff(session.id, false);
+        await this.bot.queues.removeByPhone(phone);
+
+        // Ao voltar para o bot o cliente recomeça o fluxo
+        this.bot.flowEngine.resetUserFlow(phone);
+
+        if (this.settings.release_message) {
+            await this.bot.sendMessage(phone, this.settings.release_message);
+        }
+
+        logger.info(`🤖 Conversation ${phone} released back to bot by ${agent}`);
+        this.bot.emit('handoff-released', {
+            phone: phone,
+            sessionId: session.id,
+            agent: agent,
+            timestamp: new Date().toISOString()
+        });
+
+        return { success: true };
+    }
+
+    // ============================================
+    // UTILITIES
+    // ============================================
+
+    serialize(session) {
+        return {
+            phone: session.phone,
+            sessionId: session.id,
+            name: session.name,
+            department: session.department,
+            priority: session.priority,
+            assignedAgent: session.assignedAgent || null,
+            transferredAt: new Date(session.transferredAt).toISOString(),
+            lastInteraction: new Date(session.lastInteraction).toISOString()
+        };
+    }
+}
+
+module.exports = HandoffManager;
@@ -0,0 +1,255 @@
+/**
+ * ============================================
+ * HTTP REQUEST - Integrações HTTP
+ * Chamadas do step http_request a sistemas externos (ERP, back-office): allowlist, timeout, retry e mapeamento da resposta
+ * ============================================
+ *
+ * Só URLs que começam por uma entrada de integrations.allowlist são chamadas, conferidas
+ * ao validar os fluxos e de novo antes de cada envio (já com as variáveis preenchidas).
+ * Redirecionamentos não são seguidos, para a chamada não sair da lista.
+ */
+
+const axios = require('axios');
+const logger = require('../logs/logger');
+
+const DEFAULTS = {
+    allowlist: [],
+    timeout: 10000,
+    retries: 1,
+    retry_base_delay: 1000,
+    max_response_size: 1024 * 1024
+};
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Além de erro de rede e timeout, estes status valem nova tentativa
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// {campo} lê os dados do fluxo e o contexto do contato; {env.NOME} (só nos headers) lê o .env
+const VARIABLE = /\{(env\.)?(\w+)\}/g;
+
+// Segmentos de caminho da resposta: .campo, [0] e ['campo com espaço']
+const PATH_SEGMENT = /\.(\w+)|\[(\d+)\]|\[(['"])(.*?)\3\]/y;
+
+function parseUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+class HttpRequest {
+    // owner: dono da configuração atual (o FlowEngine), lida a cada chamada para pegar o hot reload
+    constructor(owner) {
+        this.owner = owner;
+    }
+
+    get settings() {
+        return { ...DEFAULTS, ...(this.owner.config.integrations || {}) };
+    }
+
+    // ============================================
+    // ALLOWLIST
+    // ============================================
+
+    // Cada entrada é um prefixo de URL: "https://erp.empresa.com.br/api" libera /api e o que está abaixo
+    isAllowed(url, allowlist = this.settings.allowlist) {
+        const target = parseUrl(url);
+
+        return Boolean(target) && allowlist.some((entry) => {
+            const allowed = parseUrl(entry);
+            if (!allowed || allowed.protocol !== target.protocol || allowed.host !== target.host) {
+                return false;
+            }
+
+            const base = allowed.pathname.replace(/\/$/, '');
+            return target.pathname === base || target.pathname.startsWith(`${base}/`);
+        });
+    }
+
+    // Conferência do template da URL na validação dos fluxos: mensagem do problema ou null
+    checkUrl(template, allowlist) {
+        const origin = String(template).match(/^https?:\/\/([^/?#]*)/i);
+
+        if (!origin) {
+            return 'A URL deve começar com http:// ou https://';
+        }
+
+        if (origin[1].includes('{')) {
+            return 'O host da URL não pode ter variáveis';
+        }
+
+        if (!this.isAllowed(template.replace(VARIABLE, 'x'), allowlist)) {
+            return `URL fora de integrations.allowlist (${allowlist.length > 0 ? allowlist.join(', ') : 'lista vazia'})`;
+        }
+
+        return null;
+    }
+
+    // ============================================
+    // TEMPLATES
+    // ============================================
+
+    /**
+     * Preenche {variáveis} em textos, listas e objetos.
+     * options.encode: escapa cada valor para a URL; options.env: aceita {env.NOME};
+     * options.keepType: "{campo}" sozinho mantém o tipo do valor (número, lista) no body JSON
+     */
+    render(template, variables, options = {}) {
+        if (Array.isArray(template)) {
+            return template.map(item => this.render(item, variables, options));
+        }
+
+        if (template && typeof template === 'object') {
+            return Object.fromEntries(
+                Object.entries(template).map(([key, value]) => [key, this.render(value, variables, options)])
+            );
+        }
+
+        if (typeof template !== 'string') {
+            return template;
+        }
+
+        const whole = template.match(/^\{(\w+)\}$/);
+        if (whole && options.keepType) {
+            return variables[whole[1]] ?? null;
+        }
+
+        return template.replace(VARIABLE, (match, env, key) => {
+            const value = env ? (options.env ? process.env[key] : undefined) : variables[key];
+
+            if (value === undefined || value === null) {
+                return '';
+            }
+
+            return options.encode ? encodeURIComponent(String(value)) : String(value);
+        });
+    }
+
+    // ============================================
+    // RESPOSTA
+    // ============================================
+
+    // Caminho no estilo JSONPath ($.pedido.status, $.itens[0].nome); undefined se não existir ou for inválido
+    readPath(data, path) {
+        const segments = this.parsePath(path);
+        if (!segments) {
+            return undefined;
+        }
+
+        return segments.reduce((value, segment) => {
+            if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+                return undefined;
+            }
+            return value[segment];
+        }, data);
+    }
+
+    parsePath(path) {
+        const source = String(path).trim();
+        if (!source.startsWith('$')) {
+            return null;
+        }
+
+        const segments = [];
+        PATH_SEGMENT.lastIndex = 1;
+
+        while (PATH_SEGMENT.lastIndex < source.length) {
+            const match = PATH_SEGMENT.exec(source);
+            if (!match) {
+                return null;
+            }
+            segments.push(match[1] ?? match[2] ?? match[4]);
+        }
+
+        return segments;
+    }
+
+    // ============================================
+    // ENVIO
+    // ============================================
+
+    /**
+     * Envia a requisição com retry e backoff exponencial.
+     * request: { method, url, headers, body, timeout, retries }
+     * Retorna { ok, status, data, error, attempts }; nunca lança
+     */
+    async send(request) {
+        const { settings } = this;
+
+        if (!this.isAllowed(request.url, settings.allowlist)) {
+            logger.warn(`🚫 HTTP request blocked, URL not in allowlist: ${request.url}`);
+            return { ok: false, status: null, data: null, error: 'URL fora da allowlist', attempts: 0 };
+        }
+
+        const retries = request.retries ?? settings.retries;
+        let result = null;
+
+        for (let attempt = 1; attempt <= retries + 1; attempt++) {
+            result = await this.attempt(request, settings);
+            result.attempts = attempt;
+
+            if (result.ok || !result.retry || attempt > retries) {
+                break;
+            }
+
+            logger.warn(`⚠️ ${request.method} ${request.url} failed (attempt ${attempt}), retrying: ${result.error}`);
+            await this.sleep(settings.retry_base_delay * Math.pow(2, attempt - 1));
+        }
+
+        delete result.retry;
+
+        if (result.ok) {
+            logger.info(`🌐 ${request.method} ${request.url} → ${result.status}`);
+        } else {
+            logger.error(`❌ ${request.method} ${request.url} failed after ${result.attempts} attempt(s): ${result.error}`);
+        }
+
+        return result;
+    }
+
+    async attempt(request, settings) {
+        try {
+            const response = await axios({
+                method: request.method,
+                url: request.url,
+                headers: request.headers,
+                data: request.body,
+                timeout: request.timeout || settings.timeout,
+                maxRedirects: 0,
+                maxContentLength: settings.max_response_size,
+                validateStatus: () => true
+            });
+            const ok = response.status >= 200 && response.status < 300;
+
+            return {
+                ok: ok,
+                status: response.status,
+                data: response.data,
+                error: ok ? null : `HTTP ${response.status}`,
+                retry: RETRY_STATUSES.includes(response.status)
+            };
+        } catch (error) {
+            const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+
+            return {
+                ok: false,
+                status: null,
+                data: null,
+                error: timedOut ? 'timeout' : error.message,
+                retry: true
+            };
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+HttpRequest.DEFAULTS = DEFAULTS;
+HttpRequest.METHODS = METHODS;
+
+module.exports = HttpRequest;
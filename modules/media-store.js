@@ -0,0 +1,426 @@
+/**
+ * ============================================
+ * MEDIA STORE - Mídias
+ * Anexos recebidos armazenados por hash e biblioteca de mídia para envio
+ * ============================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { MessageMedia } = require('whatsapp-web.js');
+const database = require('../database/database');
+const logger = require('../logs/logger');
+const HttpRequest = require('./http-request');
+
+const DEFAULTS = {
+    download_inbound: true,
+    storage_path: 'storage/media',
+    library_path: 'storage/library',
+    max_file_size: 16 * 1024 * 1024,
+    max_upload_size: '16mb',
+    allowed_upload_types: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf', 'audio/ogg', 'audio/mpeg', 'video/mp4']
+};
+
+// Tipos de mensagem do WhatsApp -> tipo do anexo
+const MEDIA_TYPES = {
+    image: 'image',
+    video: 'video',
+    audio: 'audio',
+    ptt: 'audio',
+    document: 'document',
+    sticker: 'sticker'
+};
+
+const MIME_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'application/pdf': 'pdf',
+    'text/plain': 'txt'
+};
+
+// Tipos que o painel pode exibir no navegador. O tipo vem de quem enviou o arquivo:
+// qualquer outro (html, svg...) é servido como download, para não rodar na origem do painel
+const INLINE_TYPES = [
+    'image/jpeg', 'image/png', 'image/webp', 'image/gif',
+    'audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr', 'audio/wav', 'audio/webm',
+    'video/mp4', 'video/3gpp', 'video/webm', 'video/quicktime',
+    'application/pdf'
+];
+
+const TYPE_LABELS = {
+    image: 'imagem',
+    video: 'vídeo',
+    audio: 'áudio',
+    document: 'documento',
+    sticker: 'figurinha',
+    location: 'localização'
+};
+
+class MediaStore {
+    constructor(bot) {
+        this.bot = bot;
+        // URLs de mídia seguem a allowlist e o timeout de integrations, como o step http_request
+        this.http = new HttpRequest(bot);
+    }
+
+    get settings() {
+        return { ...DEFAULTS, ...(this.bot.config.media || {}) };
+    }
+
+    get root() {
+        return path.resolve(__dirname, '..', this.settings.storage_path);
+    }
+
+    get libraryRoot() {
+        return path.resolve(__dirname, '..', this.settings.library_path);
+    }
+
+    // ============================================
+    // CAPTURA
+    // ============================================
+
+    // Metadados do anexo da mensagem (null para texto puro)
+    async capture(message) {
+        if (message.type === 'location' && message.location) {
+            return {
+                type: 'location',
+                latitude: Number(message.location.latitude),
+                longitude: Number(message.location.longitude),
+                description: message.location.description || message.location.name || null
+            };
+        }
+
+        if (!message.hasMedia) {
+            return null;
+        }
+
+        const attachment = {
+            type: MEDIA_TYPES[message.type] || 'document',
+            mimetype: null,
+            filename: null,
+            size: null,
+            sha256: null,
+            path: null
+        };
+
+        if (!this.settings.download_inbound) {
+            return attachment;
+        }
+
+        try {
+            const media = await message.downloadMedia();
+            if (!media) {
+                return attachment;
+            }
+
+            const buffer = Buffer.from(media.data, 'base64');
+            attachment.mimetype = media.mimetype;
+            attachment.filename = media.filename || null;
+            attachment.size = buffer.length;
+
+            // Acima do limite ficam só os metadados
+            if (buffer.length > this.settings.max_file_size) {
+                logger.warn(`📎 Attachment from ${message.from} exceeds ${this.settings.max_file_size} bytes, not stored`);
+                return attachment;
+            }
+
+            return { ...attachment, ...this.save(buffer, media.mimetype, media.filename) };
+        } catch (error) {
+            logger.error(`Error downloading media from ${message.from}:`, error);
+            return attachment;
+        }
+    }
+
+    // ============================================
+    // ARMAZENAMENTO
+    // ============================================
+
+    // Caminho pelo hash do conteúdo: o mesmo arquivo recebido duas vezes é gravado uma vez só
+    save(buffer, mimetype, filename = null) {
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+        const relativePath = path.join(sha256.slice(0, 2), `${sha256}.${this.getExtension(mimetype, filename)}`);
+        const absolutePath = path.join(this.root, relativePath);
+
+        if (!fs.existsSync(absolutePath)) {
+            fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+            fs.writeFileSync(absolutePath, buffer);
+        }
+
+        return { sha256: sha256, path: relativePath };
+    }
+
+    resolvePath(relativePath, root = this.root) {
+        const absolutePath = path.resolve(root, relativePath);
+
+        if (!absolutePath.startsWith(root + path.sep)) {
+            return null;
+        }
+
+        return absolutePath;
+    }
+
+    // ============================================
+    // BIBLIOTECA DE MÍDIA
+    // ============================================
+
+    addToLibrary(buffer, data = {}) {
+        const mimetype = String(data.mimetype || '').split(';')[0].trim().toLowerCase();
+
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            return { success: false, status: 400, error: 'Arquivo vazio' };
+        }
+
+        if (!this.settings.allowed_upload_types.includes(mimetype)) {
+            return { success: false, status: 415, error: `Tipo de arquivo não permitido: ${mimetype || 'desconhecido'}` };
+        }
+
+        const tagsError = this.validateTags(data.tags);
+        if (tagsError) {
+            return { success: false, status: 400, error: tagsError };
+        }
+
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+        const existing = database.getMediaItemBySha(sha256);
+
+        // Mesmo conteúdo já está na biblioteca: reaproveita o item
+        if (existing) {
+            return { success: true, status: 200, duplicate: true, data: existing };
+        }
+
+        const name = path.basename(String(data.name || `arquivo.${this.getExtension(mimetype)}`));
+        const relativePath = `${sha256}.${this.getExtension(mimetype, name)}`;
+
+        fs.mkdirSync(this.libraryRoot, { recursive: true });
+        fs.writeFileSync(path.join(this.libraryRoot, relativePath), buffer);
+
+        const id = database.addMediaItem({
+            name: name,
+            path: relativePath,
+            mimetype: mimetype,
+            size: buffer.length,
+            sha256: sha256,
+            tags: data.tags || []
+        }).lastInsertRowid;
+
+        logger.info(`🖼️ Media ${id} added to library: ${name} (${buffer.length} bytes)`);
+
+        return { success: true, status: 201, data: database.getMediaItem(id) };
+    }
+
+    updateLibraryItem(id, data) {
+        if (!database.getMediaItem(id)) {
+            return { success: false, status: 404, error: 'Mídia não encontrada' };
+        }
+
+        const fields = {};
+
+        if (data.name !== undefined) {
+            if (typeof data.name !== 'string' || !data.name.trim()) {
+                return { success: false, status: 400, error: 'name inválido' };
+            }
+            fields.name = path.basename(data.name.trim());
+        }
+
+        if (data.tags !== undefined) {
+            const tagsError = this.validateTags(data.tags);
+            if (tagsError) {
+                return { success: false, status: 400, error: tagsError };
+            }
+            fields.tags = data.tags;
+        }
+
+        if (Object.keys(fields).length === 0) {
+            return { success: false, status: 400, error: 'Informe name e/ou tags' };
+        }
+
+        database.updateMediaItem(id, fields);
+        return { success: true, data: database.getMediaItem(id) };
+    }
+
+    // Mídia usada por um step de fluxo ou por campanha ativa não pode ser removida
+    removeFromLibrary(id) {
+        const item = database.getMediaItem(id);
+        if (!item) {
+            return { success: false, status: 404, error: 'Mídia não encontrada' };
+        }
+
+        const references = [
+            ...this.findFlowReferences(id).map(ref => `fluxo ${ref.flow}/${ref.step}`),
+            ...database.getActiveCampaignsByMedia(id).map(campaign => `campanha ${campaign.id}`)
+        ];
+
+        if (references.length > 0) {
+            return { success: false, status: 409, error: `Mídia em uso: ${references.join(', ')}` };
+        }
+
+        database.deleteMediaItem(id);
+
+        const filePath = this.resolvePath(item.path, this.libraryRoot);
+        if (filePath && fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+
+        logger.info(`🗑️ Media ${id} removed from library`);
+        return { success: true, data: item };
+    }
+
+    findFlowReferences(mediaId) {
+        const references = [];
+
+        Object.entries(this.bot.config.flows || {}).forEach(([flowId, flow]) => {
+            (flow.steps || []).forEach((step) => {
+                if (step.type === 'send_media' && Number(step.media_id) === Number(mediaId)) {
+                    references.push({ flow: flowId, step: step.id });
+                }
+            });
+        });
+
+        return references;
+    }
+
+    validateTags(tags) {
+        if (tags === undefined) {
+            return null;
+        }
+
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.length > 50)) {
+            return 'tags deve ser uma lista de textos (até 50 caracteres cada)';
+        }
+
+        return null;
+    }
+
+    // ============================================
+    // ENVIO
+    // ============================================
+
+    // Aceita o id da biblioteca (número, { mediaId } ou { media_id }) ou uma URL ({ url } ou string)
+    normalizeSource(source) {
+        if (typeof source === 'string' && /^https?:\/\//i.test(source)) {
+            return { url: source };
+        }
+
+        if (typeof source === 'number' || (typeof source === 'string' && /^\d+$/.test(source))) {
+            return { mediaId: Number(source) };
+        }
+
+        if (source && (source.mediaId || source.media_id)) {
+            return { mediaId: Number(source.mediaId || source.media_id) };
+        }
+
+        return source && source.url ? { url: source.url } : null;
+    }
+
+    // Retorna o erro (string) ou null quando a mídia pode ser enviada
+    checkSource(source) {
+        if (!source) {
+            return 'Mídia não informada';
+        }
+
+        if (source.url) {
+            return this.http.isAllowed(source.url) ? null : `URL de mídia fora de integrations.allowlist: ${source.url}`;
+        }
+
+        if (!Number.isInteger(source.mediaId) || source.mediaId < 1) {
+            return 'mediaId deve ser o id de uma mídia da biblioteca';
+        }
+
+        const item = database.getMediaItem(source.mediaId);
+        if (!item) {
+            return `Mídia ${source.mediaId} não encontrada na biblioteca`;
+        }
+
+        const filePath = this.resolvePath(item.path, this.libraryRoot);
+        return filePath && fs.existsSync(filePath) ? null : `Arquivo da mídia ${source.mediaId} não encontrado`;
+    }
+
+    load(source) {
+        if (source.url) {
+            return this.download(source.url);
+        }
+
+        const item = database.getMediaItem(source.mediaId);
+        const filePath = item ? this.resolvePath(item.path, this.libraryRoot) : null;
+
+        if (!filePath) {
+            throw new Error(`Mídia ${source.mediaId} não encontrada na biblioteca`);
+        }
+
+        const media = MessageMedia.fromFilePath(filePath);
+        media.filename = item.name;
+        return media;
+    }
+
+    // Sem seguir redirecionamento e com os mesmos limites de tamanho e tipo do upload para a biblioteca
+    async download(url) {
+        if (!this.http.isAllowed(url)) {
+            throw new Error(`URL de mídia fora de integrations.allowlist: ${url}`);
+        }
+
+        const { settings } = this;
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: this.http.settings.timeout,
+            maxRedirects: 0,
+            maxContentLength: settings.max_file_size
+        });
+
+        const mimetype = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (!settings.allowed_upload_types.includes(mimetype)) {
+            throw new Error(`Tipo de arquivo não permitido: ${mimetype || 'desconhecido'}`);
+        }
+
+        const filename = path.basename(new URL(url).pathname) || `arquivo.${this.getExtension(mimetype)}`;
+        return new MessageMedia(mimetype, Buffer.from(response.data).toString('base64'), filename);
+    }
+
+    getExtension(mimetype, filename) {
+        const base = String(mimetype || '').split(';')[0].trim();
+        if (MIME_EXTENSIONS[base]) {
+            return MIME_EXTENSIONS[base];
+        }
+
+        const fromName = filename ? path.extname(filename).slice(1).toLowerCase() : '';
+        return /^[a-z0-9]{1,8}$/.test(fromName) ? fromName : 'bin';
+    }
+
+    // ============================================
+    // UTILITIES
+    // ============================================
+
+    isInlineType(mimetype) {
+        return INLINE_TYPES.includes(String(mimetype || '').split(';')[0].trim().toLowerCase());
+    }
+
+    // Texto salvo na conversa quando a mídia vem sem legenda
+    describe(attachment) {
+        if (attachment.mediaId) {
+            const item = database.getMediaItem(attachment.mediaId);
+            return `[mídia: ${item ? item.name : attachment.mediaId}]`;
+        }
+
+        if (attachment.url) {
+            return `[mídia: ${attachment.url}]`;
+        }
+
+        if (attachment.type === 'location') {
+            const coordinates = `${attachment.latitude}, ${attachment.longitude}`;
+            return `[localização: ${attachment.description ? `${attachment.description} - ` : ''}${coordinates}]`;
+        }
+
+        const label = TYPE_LABELS[attachment.type] || 'arquivo';
+        return attachment.filename ? `[${label}: ${attachment.filename}]` : `[${label}]`;
+    }
+}
+
+MediaStore.DEFAULTS = DEFAULTS;
+
+module.exports = MediaStore;
@@ -0,0 +1,138 @@
+/**
+ * ============================================
+ * OFFLINE INBOX - Mensagens Fora do Horário
+ * Agrupa as mensagens por contato e entrega ao atendimento quando abrir
+ * ============================================
+ */
+
+const database = require('../database/database');
+const logger = require('../logs/logger');
+
+class OfflineInbox {
+    constructor(bot) {
+        this.bot = bot;
+        this.timer = null;
+        this.delivering = false;
+    }
+
+    get settings() {
+        return this.bot.config.business_hours || {};
+    }
+
+    // ============================================
+    // CAPTURA
+    // ============================================
+
+    // Retorna true quando é a primeira mensagem do contato neste período fechado
+    capture(phone, name, message) {
+        const entry = { text: message, at: new Date().toISOString() };
+        const existing = database.getPendingContactByPhone(phone);
+
+        if (existing) {
+            database.appendPendingMessage(existing.id, [...existing.messages, entry]);
+        } else {
+            database.addPendingContact({ phone: phone, name: name, messages: [entry] });
+            logger.info(`🌙 Off-hours message captured from ${phone}`);
+        }
+
+        this.bot.emit('offline-captured', {
+            phone: phone,
+            name: name,
+            message: message,
+            timestamp: entry.at
+        });
+
+        return !existing;
+    }
+
+    // ============================================
+    // ENTREGA
+    // ============================================
+
+    start() {
+        this.stop();
+
+        const interval = this.settings.offline_check_interval || 60000;
+        this.timer = setInterval(() => {
+            this.deliverPending().catch((error) => logger.error('Error delivering offline messages:', error));
+        }, interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async deliverPending() {
+        if (this.delivering || !this.bot.isBusinessHours()) {
+            return 0;
+        }
+
+        this.delivering = true;
+
+        try {
+            let delivered = 0;
+
+            for (const contact of database.getPendingContacts('pending')) {
+                if (await this.deliver(contact)) {
+                    delivered++;
+                }
+            }
+
+            if (delivered > 0) {
+                logger.info(`☀️ Delivered ${delivered} off-hours contact(s) to attendants`);
+            }
+
+            return delivered;
+        } finally {
+            this.delivering = false;
+        }
+    }
+
+    // Departamento pelas palavras-chave das mensagens; sem departamento vai para o atendimento humano
+    async deliver(contact) {
+        const department = this.detectDepartment(contact.messages);
+
+        // Departamento com horário próprio ainda fechado: espera ele abrir
+        if (department && !this.bot.businessHours.isOpen(department)) {
+            return false;
+        }
+
+        const session = this.bot.getSession(contact.phone) || this.bot.createSession(contact.phone, contact.name);
+
+        database.markPendingContactDelivered(contact.id, department ? department.id : null);
+
+        if (this.settings.notify_back_online && this.settings.back_online_message) {
+            const name = contact.name || '';
+            await this.bot.sendMessage(contact.phone, this.settings.back_online_message.replace('{name}', name));
+        }
+
+        if (department) {
+            await this.bot.transferToDepartment(contact.phone, department.id, session);
+        } else {
+            await this.bot.transferToHuman(contact.phone, session);
+        }
+
+        this.bot.emit('offline-delivered', {
+            phone: contact.phone,
+            name: contact.name,
+            departmentId: department ? department.id : null,
+            messages: contact.messages,
+            timestamp: new Date().toISOString()
+        });
+
+        return true;
+    }
+
+    detectDepartment(messages) {
+        const text = messages.map(m => m.text).join(' ').toLowerCase();
+
+        return this.bot.config.departments.find((department) =>
+            (department.keywords || []).some(keyword => text.includes(keyword.toLowerCase()))
+        ) || null;
+    }
+}
+
+module.exports = OfflineInbox;
@@ -0,0 +1,237 @@
+/**
+ * ============================================
+ * OUTBOUND QUEUE - Fila de Saída
+ * Envio persistente com limite de taxa, retry com backoff e status por mensagem
+ * ============================================
+ */
+
+const database = require('../database/database');
+const logger = require('../logs/logger');
+
+const DEFAULTS = {
+    max_per_minute: 30,
+    per_recipient_interval: 1000,
+    max_attempts: 5,
+    retry_base_delay: 2000,
+    retry_max_delay: 300000,
+    worker_interval: 500
+};
+
+// Só queda de conexão, timeout e limite de envio valem nova tentativa. O resto (mídia fora da
+// biblioteca, mentions inválido, número sem WhatsApp) falharia igual em todas as tentativas
+const TRANSIENT_ERRORS = [
+    /timed? ?out/i,
+    /rate.?limit|too many requests|\b429\b/i,
+    /disconnect|not connected|session closed|target closed|protocol error|execution context/i,
+    /socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|EPIPE/i
+];
+
+class OutboundQueue {
+    constructor(bot) {
+        this.bot = bot;
+        this.timer = null;
+        this.processing = false;
+        this.sentTimestamps = [];
+        this.lastSentTo = new Map();
+    }
+
+    get settings() {
+        return { ...DEFAULTS, ...(this.bot.config.outbound || {}) };
+    }
+
+    // ============================================
+    // ENFILEIRAR
+    // ============================================
+
+    enqueue(phone, body, options = {}) {
+        const result = database.addOutboundMessage({
+            phone: phone,
+            body: body,
+            source: options.source || 'bot',
+            maxAttempts: options.maxAttempts || this.settings.max_attempts,
+            mentions: options.mentions || null,
+            media: options.media || null
+        });
+
+        // Não espera o próximo ciclo para mandar
+        setImmediate(() => this.process().catch((error) => logger.error('Error processing outbound queue:', error)));
+
+        return result.lastInsertRowid;
+    }
+
+    // ============================================
+    // WORKER
+    // ============================================
+
+    start() {
+        this.stop();
+        database.requeueInterruptedOutbound();
+
+        this.timer = setInterval(() => {
+            this.process().catch((error) => logger.error('Error processing outbound queue:', error));
+        }, this.settings.worker_interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Envia tudo que está pronto; desconectado, as mensagens ficam aguardando
+    async process() {
+        if (this.processing || !this.bot.isReady) {
+            return 0;
+        }
+
+        this.processing = true;
+
+        try {
+            let sent = 0;
+
+            for (const message of database.getDueOutboundMessages(Date.now())) {
+                if (!this.bot.isReady || !this.hasGlobalCapacity()) {
+                    break;
+                }
+
+                if (!this.canSendTo(message.phone)) {
+                    continue;
+                }
+
+                if (await this.send(message)) {
+                    sent++;
+                }
+            }
+
+            return sent;
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async send(message) {
+        database.updateOutboundMessage(message.id, { status: 'sending' });
+        const attempts = message.attempts + 1;
+
+        try {
+            const sendOptions = message.mentions ? { mentions: JSON.parse(message.mentions) } : {};
+            let content = message.body;
+
+            // Mídia: o arquivo é carregado só na hora do envio; o body vira legenda
+            if (message.media) {
+                content = await this.bot.media.load(JSON.parse(message.media));
+                sendOptions.caption = message.body;
+            }
+
+            const result = await this.bot.client.sendMessage(message.phone, content, sendOptions);
+            const waMessageId = result && result.id ? result.id._serialized : null;
+
+            this.registerSend(message.phone);
+            database.updateOutboundMessage(message.id, {
+                status: 'sent',
+                attempts: attempts,
+                sent_at: new Date().toISOString(),
+                wa_message_id: waMessageId,
+                last_error: null
+            });
+            database.setConversationDelivery(message.id, { waMessageId: waMessageId, ackStatus: 'sent' });
+
+            logger.info(`📤 Sent to ${message.phone}: ${message.body.substring(0, 50)}...`);
+            this.bot.emit('message-sent', {
+                id: message.id,
+                phone: message.phone,
+                message: message.body,
+                source: message.source,
+                media: Boolean(message.media),
+                waMessageId: waMessageId,
+                sentAt: new Date().toISOString()
+            });
+            return true;
+        } catch (error) {
+            const failed = !this.isTransient(error) || attempts >= message.max_attempts;
+
+            database.updateOutboundMessage(message.id, {
+                status: failed ? 'failed' : 'queued',
+                attempts: attempts,
+                last_error: error.message,
+                next_attempt_at: Date.now() + this.getBackoff(attempts)
+            });
+
+            if (failed) {
+                database.setConversationDelivery(message.id, { ackStatus: 'failed' });
+                logger.error(`❌ Giving up sending message ${message.id} to ${message.phone}: ${error.message}`);
+                this.bot.emit('outbound-failed', {
+                    id: message.id,
+                    phone: message.phone,
+                    source: message.source,
+                    error: error.message
+                });
+            } else {
+                logger.warn(`⚠️ Send to ${message.phone} failed (attempt ${attempts}), retrying: ${error.message}`);
+            }
+
+            return false;
+        }
+    }
+
+    // ============================================
+    // LIMITES DE ENVIO
+    // ============================================
+
+    hasGlobalCapacity() {
+        const windowStart = Date.now() - 60000;
+        this.sentTimestamps = this.sentTimestamps.filter(t => t > windowStart);
+
+        return this.sentTimestamps.length < this.settings.max_per_minute;
+    }
+
+    canSendTo(phone) {
+        const last = this.lastSentTo.get(phone);
+        return !last || Date.now() - last >= this.settings.per_recipient_interval;
+    }
+
+    registerSend(phone) {
+        const now = Date.now();
+        this.sentTimestamps.push(now);
+        this.lastSentTo.set(phone, now);
+
+        // Evitar crescimento do mapa com destinatários antigos
+        if (this.lastSentTo.size > 5000) {
+            for (const [key, time] of this.lastSentTo) {
+                if (now - time > this.settings.per_recipient_interval) {
+                    this.lastSentTo.delete(key);
+                }
+            }
+        }
+    }
+
+    // Desconectou no meio do envio, ou o erro indica conexão/timeout/limite: tenta de novo depois
+    isTransient(error) {
+        if (!this.bot.isReady) {
+            return true;
+        }
+
+        const text = `${error.code || ''} ${error.message || ''}`;
+        return TRANSIENT_ERRORS.some(pattern => pattern.test(text));
+    }
+
+    getBackoff(attempts) {
+        const delay = this.settings.retry_base_delay * Math.pow(2, attempts - 1);
+        return Math.min(delay, this.settings.retry_max_delay);
+    }
+
+    // ============================================
+    // STATUS
+    // ============================================
+
+    markAcked(waMessageId) {
+        database.markOutboundAcked(waMessageId);
+    }
+
+    getStats() {
+        return database.getOutboundStats();
+    }
+}
+
+module.exports = OutboundQueue;
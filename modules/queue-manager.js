@@ -0,0 +1,251 @@
+/**
+ * ============================================
+ * QUEUE MANAGER - Filas por Departamento
+ * FIFO por departamento com faixa de prioridade e aviso de posição
+ * ============================================
+ */
+
+const database = require('../database/database');
+const logger = require('../logs/logger');
+
+class QueueManager {
+    constructor(bot) {
+        this.bot = bot;
+    }
+
+    getDepartment(departmentId) {
+        return this.bot.config.departments.find(d => d.id === departmentId);
+    }
+
+    // ============================================
+    // ENTRADA NA FILA
+    // ============================================
+
+    async enqueue(phone, departmentId, options = {}) {
+        const priority = options.priority === 'high' ? 'high' : 'normal';
+        const existing = database.getWaitingQueueEntryByPhone(phone);
+
+        if (existing && existing.department_id === departmentId) {
+            return this.getPosition(phone);
+        }
+
+        if (existing) {
+            // Já estava em outra fila: sai de lá e entra nesta
+            await this.reassign(existing.id, departmentId);
+            return this.getPosition(phone);
+        }
+
+        const entries = database.getWaitingQueue(departmentId);
+
+        // Prioridade alta entra logo após o último "high" da fila
+        const insertAt = priority === 'high'
+            ? entries.filter(e => e.priority === 'high').length
+            : entries.length;
+
+        const result = database.addQueueEntry({
+            phone: phone,
+            sessionId: options.sessionId || null,
+            departmentId: departmentId,
+            priority: priority,
+            sortOrder: insertAt
+        });
+
+        const ids = entries.map(e => e.id);
+        ids.splice(insertAt, 0, result.lastInsertRowid);
+        this.renumber(ids);
+
+        logger.info(`📋 ${phone} queued in department ${departmentId} (${priority})`);
+
+        await this.notifyPositions(departmentId);
+        return this.getPosition(phone);
+    }
+
+    // ============================================
+    // CONSULTAS
+    // ============================================
+
+    getPosition(phone) {
+        const entry = database.getWaitingQueueEntryByPhone(phone);
+        if (!entry) {
+            return null;
+        }
+
+        const entries = database.getWaitingQueue(entry.department_id);
+        const index = entries.findIndex(e => e.id === entry.id);
+
+        return this.serialize(entry, index + 1);
+    }
+
+    list(departmentId) {
+        const department = this.getDepartment(departmentId);
+        const entries = database.getWaitingQueue(departmentId).map((entry, index) => this.serialize(entry, index + 1));
+        const avgWaitMs = database.getQueueAverageWait(departmentId);
+
+        return {
+            departmentId: departmentId,
+            name: department ? department.name : null,
+            waiting: entries.length,
+            longestWaitMs: entries.reduce((max, e) => Math.max(max, e.waitMs), 0),
+            avgWaitMs: avgWaitMs,
+            entries: entries.map(e => ({
+                ...e,
+                estimatedWaitMs: avgWaitMs !== null ? avgWaitMs * e.position : null
+            }))
+        };
+    }
+
+    listAll() {
+        return this.bot.config.departments.map(d => this.list(d.id));
+    }
+
+    // ============================================
+    // AÇÕES DE SUPERVISÃO
+    // ============================================
+
+    // Retira o próximo da fila e entrega ao atendente
+    async next(departmentId, agent) {
+        const [entry] = database.getWaitingQueue(departmentId);
+        if (!entry) {
+            return null;
+        }
+
+        const claim = await this.bot.handoff.claim(entry.phone, agent);
+        if (!claim.success) {
+            // Sessão não está mais ativa (ex.: após restart): apenas baixar da fila
+            await this.markServed(entry.phone, agent);
+        }
+
+        return this.serialize(entry, 1);
+    }
+
+    async markServed(phone, agent) {
+        const entry = database.getWaitingQueueEntryByPhone(phone);
+        if (!entry) {
+            return false;
+        }
+
+        database.updateQueueEntry(entry.id, {
+            status: 'served',
+            served_at: new Date().toISOString(),
+            served_by: agent || null
+        });
+
+        await this.notifyPositions(entry.department_id);
+        return true;
+    }
+
+    async remove(entryId) {
+        const entry = database.getQueueEntry(entryId);
+        if (!entry || entry.status !== 'waiting') {
+            return false;
+        }
+
+        database.updateQueueEntry(entry.id, { status: 'removed' });
+        await this.notifyPositions(entry.department_id);
+        return true;
+    }
+
+    async removeByPhone(phone) {
+        const entry = database.getWaitingQueueEntryByPhone(phone);
+        if (!entry) {
+            return false;
+        }
+
+        await this.remove(entry.id);
+        return true;
+    }
+
+    // Move uma entrada para a posição indicada (1 = primeiro da fila)
+    async move(entryId, position) {
+        const entry = database.getQueueEntry(entryId);
+        if (!entry || entry.status !== 'waiting') {
+            return false;
+        }
+
+        const ids = database.getWaitingQueue(entry.department_id)
+            .map(e => e.id)
+            .filter(id => id !== entry.id);
+        const index = Math.min(Math.max(position - 1, 0), ids.length);
+        ids.splice(index, 0, entry.id);
+        this.renumber(ids);
+
+        await this.notifyPositions(entry.department_id);
+        return true;
+    }
+
+    // Transfere a entrada para o fim da fila de outro departamento
+    async reassign(entryId, departmentId) {
+        const entry = database.getQueueEntry(entryId);
+        if (!entry || entry.status !== 'waiting' || !this.getDepartment(departmentId)) {
+            return false;
+        }
+
+        const previousDepartment = entry.department_id;
+        const target = database.getWaitingQueue(departmentId);
+
+        database.updateQueueEntry(entry.id, {
+            department_id: departmentId,
+            sort_order: target.length,
+            last_notified_position: null
+        });
+
+        const session = this.bot.getSession(entry.phone);
+        if (session) {
+            session.department = departmentId;
+        }
+
+        logger.info(`📋 Queue entry ${entry.id} reassigned from ${previousDepartment} to ${departmentId}`);
+
+        await this.notifyPositions(previousDepartment);
+        await this.notifyPositions(departmentId);
+        return true;
+    }
+
+    // ============================================
+    // AVISO DE POSIÇÃO
+    // ============================================
+
+    // Reenvia o queue_message para quem mudou de posição
+    async notifyPositions(departmentId) {
+        const department = this.getDepartment(departmentId);
+        const entries = database.getWaitingQueue(departmentId);
+
+        for (const [index, entry] of entries.entries()) {
+            const position = index + 1;
+            if (entry.last_notified_position === position) {
+                continue;
+            }
+
+            database.updateQueueEntry(entry.id, { last_notified_position: position });
+
+            if (department && department.queue_message) {
+                await this.bot.sendMessage(entry.phone, department.queue_message.replace('{position}', position));
+            }
+        }
+
+        this.bot.emit('queue-updated', this.list(departmentId));
+    }
+
+    // ============================================
+    // UTILITIES
+    // ============================================
+
+    renumber(ids) {
+        ids.forEach((id, index) => database.updateQueueEntry(id, { sort_order: index }));
+    }
+
+    serialize(entry, position) {
+        return {
+            id: entry.id,
+            phone: entry.phone,
+            sessionId: entry.session_id,
+            departmentId: entry.department_id,
+            priority: entry.priority,
+            position: position,
+            enqueuedAt: entry.enqueued_at,
+            waitMs: Date.now() - new Date(entry.enqueued_at).getTime()
+        };
+    }
+}
+
+module.exports = QueueManager;
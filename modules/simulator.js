@@ -0,0 +1,334 @@
+/**
+ * ============================================
+ * SIMULATOR - Simulador de Fluxos
+ * Conversa de teste com os fluxos sem WhatsApp: telefone fictício, transporte falso e estado em memória
+ * ============================================
+ *
+ * Cada mensagem passa pelo mesmo FlowEngine.processMessage e pelo mesmo
+ * WhatsAppBot.handleFlowResult do atendimento real. Só o transporte muda: as respostas
+ * e ações são anotadas no turno em vez de enviadas, e nada é gravado em conversations,
+ * flow_states, filas ou métricas.
+ */
+
+const crypto = require('crypto');
+const FlowEngine = require('./flow-engine');
+const BusinessHours = require('./business-hours');
+const WhatsAppBot = require('./whatsapp');
+const security = require('../security/encryption');
+const logger = require('../logs/logger');
+
+// Sessões paradas há mais tempo que isso são descartadas
+const SESSION_TTL = 60 * 60 * 1000;
+const MAX_SESSIONS = 100;
+
+// ============================================
+// ESTADO EM MEMÓRIA
+// ============================================
+
+// Mesma interface do banco usada pelo FlowEngine (flow_states e user_context)
+class MemoryStore {
+    constructor() {
+        this.flowStates = new Map();
+        this.userContexts = new Map();
+    }
+
+    // Cópia via JSON, como no banco: o estado salvo não muda junto com o cache
+    saveFlowState(phone, state) {
+        this.flowStates.set(phone, JSON.parse(JSON.stringify({ phone: phone, ...state })));
+    }
+
+    getFlowState(phone) {
+        const state = this.flowStates.get(phone);
+        return state ? JSON.parse(JSON.stringify(state)) : null;
+    }
+
+    deleteFlowState(phone) {
+        this.flowStates.delete(phone);
+    }
+
+    countFlowStates() {
+        return this.flowStates.size;
+    }
+
+    saveUserContext(phone, data) {
+        this.userContexts.set(phone, { ...(this.userContexts.get(phone) || {}), ...data });
+    }
+
+    getUserContext(phone) {
+        return this.userContexts.get(phone) || null;
+    }
+
+    delete(phone) {
+        this.flowStates.delete(phone);
+        this.userContexts.delete(phone);
+    }
+}
+
+// ============================================
+// SIMULADOR
+// ============================================
+
+class Simulator {
+    // server: dono da configuração atual (o BotServer), lida a cada turno para pegar o hot reload
+    constructor(server) {
+        this.server = server;
+        this.sessions = new Map();
+        this.store = new MemoryStore();
+        this.engine = new FlowEngine(server.config, this.store);
+        this.businessHours = new BusinessHours(this);
+    }
+
+    get config() {
+        return this.server.config;
+    }
+
+    // ============================================
+    // SESSÕES
+    // ============================================
+
+    createSession(options = {}) {
+        this.expireSessions();
+
+        if (options.flowId && !this.config.flows[options.flowId]) {
+            return { success: false, status: 404, error: `Fluxo ${options.flowId} não encontrado` };
+        }
+
+        if (this.sessions.size >= MAX_SESSIONS) {
+            return { success: false, status: 429, error: 'Muitas sessões de simulação abertas' };
+        }
+
+        const id = crypto.randomBytes(8).toString('hex');
+        const phone = `simulator-${id}`;
+        const session = {
+            id: id,
+            phone: phone,
+            name: options.name || 'Cliente Teste',
+            flowId: options.flowId || null,
+            transferred: false,
+            turns: [],
+            startedAt: Date.now(),
+            lastInteraction: Date.now(),
+            messagesCount: 0
+        };
+
+        const userContext = {
+            ...(options.context || {}),
+            phone: phone,
+            name: session.name,
+            interaction_count: 0
+        };
+
+        this.store.saveUserContext(phone, userContext);
+        this.sessions.set(id, session);
+        this.syncConfig();
+
+        // Sem flowId o fluxo é o do modo atual, escolhido na primeira mensagem (como no WhatsApp)
+        if (options.flowId) {
+            this.engine.initializeUserFlow(phone, options.flowId, this.store.getUserContext(phone));
+        }
+
+        logger.info(`🧪 Simulator session ${id} started${options.flowId ? ` on ${options.flowId}` : ''}`);
+
+        return { success: true, status: 201, data: this.describeSession(session) };
+    }
+
+    getSession(id) {
+        const session = this.sessions.get(id);
+        return session ? this.describeSession(session, true) : null;
+    }
+
+    deleteSession(id) {
+        const session = this.sessions.get(id);
+        if (!session) {
+            return { success: false, status: 404, error: 'Sessão de simulação não encontrada' };
+        }
+
+        this.engine.resetUserFlow(session.phone);
+        this.store.delete(session.phone);
+        this.sessions.delete(id);
+
+        return { success: true, status: 200 };
+    }
+
+    expireSessions() {
+        const limit = Date.now() - SESSION_TTL;
+
+        [...this.sessions.values()]
+            .filter(session => session.lastInteraction < limit)
+            .forEach(session => this.deleteSession(session.id));
+    }
+
+    // ============================================
+    // MENSAGENS
+    // ============================================
+
+    // attachment simula um anexo recebido (steps capture_media): { type, mimetype, filename, size }
+    async sendMessage(id, message = '', attachment = null) {
+        const session = this.sessions.get(id);
+        if (!session) {
+            return { success: false, status: 404, error: 'Sessão de simulação não encontrada' };
+        }
+
+        // Transferido, o bot fica em silêncio como no atendimento real
+        if (session.transferred) {
+            return {
+                success: false,
+                status: 409,
+                error: 'Conversa transferida para atendimento; crie uma nova sessão para testar de novo'
+            };
+        }
+
+        this.syncConfig();
+
+        const text = security.sanitizeInput(String(message || ''));
+        const turn = { message: text, replies: [], actions: [], at: new Date().toISOString() };
+        const userContext = this.store.getUserContext(session.phone);
+        const transport = this.createTransport(session, turn);
+
+        userContext.interaction_count++;
+        session.lastInteraction = Date.now();
+
+        const result = await this.engine.processMessage(session.phone, text, userContext, attachment, session);
+        await transport.handleFlowResult(session.phone, result, session, userContext);
+
+        turn.state = this.getState(session);
+        session.turns.push(turn);
+        session.messagesCount++;
+
+        return {
+            success: true,
+            status: 200,
+            data: {
+                sessionId: session.id,
+                replies: turn.replies,
+                actions: turn.actions,
+                state: turn.state,
+                transferred: session.transferred
+            }
+        };
+    }
+
+    // O mesmo handleFlowResult do bot, com envio e ações trocados por anotações no turno
+    createTransport(session, turn) {
+        const transferToHuman = () => {
+            session.transferred = true;
+            turn.actions.push({ action: 'transfer_human' });
+        };
+
+        // Herda do bot só os métodos (sem cliente do WhatsApp); o que toca o mundo real é trocado abaixo
+        return Object.assign(Object.create(WhatsAppBot.prototype), {
+            config: this.config,
+            flowEngine: this.engine,
+            businessHours: this.businessHours,
+            queues: { getDepartment: departmentId => this.getDepartment(departmentId) },
+            sleep: async () => {},
+            // Eventos (e webhooks) não saem do simulador
+            emit: () => false,
+            sendMessage: (to, text) => {
+                turn.replies.push({ type: 'text', text: text });
+            },
+            sendMedia: (to, media, caption) => {
+                turn.replies.push({ type: 'media', media: media, caption: caption || null });
+            },
+            transferToHuman: transferToHuman,
+            handleAction: (from, result) => {
+                switch (result.action) {
+                    case 'transfer_human':
+                        transferToHuman();
+                        break;
+
+                    case 'transfer_department':
+                        this.simulateDepartmentTransfer(session, turn, result);
+                        break;
+
+                    default:
+                        turn.actions.push({ action: result.action });
+                }
+            }
+        });
+    }
+
+    // Departamento fechado: aviso de offline e o contato não entra na fila
+    simulateDepartmentTransfer(session, turn, result) {
+        const department = this.getDepartment(result.departmentId);
+        const open = Boolean(department) && this.businessHours.isOpen(department);
+
+        turn.actions.push({
+            action: 'transfer_department',
+            departmentId: result.departmentId,
+            department: department ? department.name : null,
+            priority: result.priority || 'normal',
+            open: open
+        });
+
+        if (!department) {
+            return;
+        }
+
+        if (!open) {
+            turn.replies.push({ type: 'text', text: this.businessHours.getOfflineMessage(department) });
+            return;
+        }
+
+        session.transferred = true;
+    }
+
+    getDepartment(departmentId) {
+        return this.config.departments.find(d => d.id === departmentId);
+    }
+
+    // ============================================
+    // ESTADO
+    // ============================================
+
+    // Fluxos salvos no meio da sessão valem a partir do próximo turno (com a mesma migração do bot)
+    syncConfig() {
+        if (this.engine.config !== this.config) {
+            this.engine.reload(this.config);
+        }
+    }
+
+    getState(session) {
+        const userState = this.engine.getUserState(session.phone);
+        const userContext = this.store.getUserContext(session.phone);
+
+        // Cópia: cada turno guarda o estado daquele momento
+        return JSON.parse(JSON.stringify({
+            flowId: userState ? userState.currentFlow : null,
+            stepId: userState ? userState.stepId : null,
+            stepType: userState ? this.getStepType(userState) : null,
+            waitingInput: Boolean(userState && userState.waitingInput),
+            retryCount: userState ? userState.retryCount : 0,
+            data: userState ? userState.data : {},
+            context: userContext
+        }));
+    }
+
+    getStepType(userState) {
+        const flow = this.config.flows[userState.currentFlow];
+        const step = flow && flow.steps.find(s => s.id === userState.stepId);
+        return step ? step.type : null;
+    }
+
+    describeSession(session, withTurns = false) {
+        const description = {
+            id: session.id,
+            phone: session.phone,
+            name: session.name,
+            flowId: session.flowId,
+            transferred: session.transferred,
+            state: this.getState(session),
+            startedAt: new Date(session.startedAt).toISOString()
+        };
+
+        if (withTurns) {
+            description.turns = session.turns;
+        }
+
+        return description;
+    }
+}
+
+Simulator.MemoryStore = MemoryStore;
+
+module.exports = Simulator;
@@ -0,0 +1,172 @@
+/**
+ * ============================================
+ * TRANSCRIBER - Transcrição de Áudio
+ * Áudios e mensagens de voz viram texto por um adaptador de speech-to-text trocável
+ * ============================================
+ *
+ * Um adaptador é qualquer objeto com:
+ *   name: string
+ *   transcribe(filePath, { mimetype, language }) -> Promise<{ text }>
+ *
+ * O padrão é o whisper.cpp rodando local (offline). Outro motor pode ser
+ * registrado em Transcriber.ADAPTERS ou injetado com bot.transcriber.setAdapter().
+ */
+
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../logs/logger');
+
+const DEFAULTS = {
+    enabled: false,
+    adapter: 'whisper_cpp',
+    language: 'pt',
+    whisper_cpp: {
+        binary_path: 'bin/whisper-cli',
+        model_path: 'models/ggml-base.bin',
+        ffmpeg_path: 'ffmpeg',
+        threads: 2,
+        timeout: 60000
+    }
+};
+
+// ============================================
+// ADAPTADOR: WHISPER.CPP
+// ============================================
+
+class WhisperCppAdapter {
+    constructor(options = {}) {
+        this.name = 'whisper_cpp';
+        this.options = { ...DEFAULTS.whisper_cpp, ...options };
+    }
+
+    // O whisper.cpp só lê WAV 16 kHz mono: o áudio do WhatsApp (ogg/opus) passa antes pelo ffmpeg
+    async transcribe(filePath, options = {}) {
+        const wavPath = path.join(os.tmpdir(), `transcribe-${crypto.randomBytes(8).toString('hex')}.wav`);
+
+        try {
+            await this.run(this.options.ffmpeg_path, [
+                '-y', '-loglevel', 'error', '-i', filePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath
+            ]);
+
+            const output = await this.run(this.resolve(this.options.binary_path), [
+                '-m', this.resolve(this.options.model_path),
+                '-f', wavPath,
+                '-l', options.language || 'auto',
+                '-t', String(this.options.threads),
+                '-nt',
+                '-np'
+            ]);
+
+            // Marcações como [BLANK_AUDIO] ou [Música] não são fala
+            return { text: output.replace(/\[[^\]]*\]/g, ' ').replace(/\s+/g, ' ').trim() };
+        } finally {
+            fs.rm(wavPath, { force: true }, () => {});
+        }
+    }
+
+    run(command, args) {
+        return new Promise((resolve, reject) => {
+            const execOptions = { timeout: this.options.timeout, maxBuffer: 1024 * 1024 };
+
+            execFile(command, args, execOptions, (error, stdout, stderr) => {
+                if (error) {
+                    const detail = String(stderr || '').trim().split('\n').pop();
+                    reject(new Error(`${path.basename(command)} failed: ${detail || error.message}`));
+                    return;
+                }
+                resolve(String(stdout));
+            });
+        });
+    }
+
+    // Caminhos relativos partem da raiz do projeto; nomes soltos (ex.: "ffmpeg") ficam para o PATH
+    resolve(filePath) {
+        return filePath.includes('/') ? path.resolve(__dirname, '..', filePath) : filePath;
+    }
+}
+
+// ============================================
+// TRANSCRIBER
+// ============================================
+
+class Transcriber {
+    constructor(bot) {
+        this.bot = bot;
+        this.adapter = null;
+    }
+
+    get settings() {
+        const settings = this.bot.config.transcription || {};
+        return {
+            ...DEFAULTS,
+            ...settings,
+            whisper_cpp: { ...DEFAULTS.whisper_cpp, ...(settings.whisper_cpp || {}) }
+        };
+    }
+
+    // Troca o motor em tempo de execução (null volta ao adaptador da configuração)
+    setAdapter(adapter) {
+        if (adapter !== null && (!adapter || typeof adapter.transcribe !== 'function')) {
+            throw new Error('Transcription adapter must implement transcribe(filePath, options)');
+        }
+
+        this.adapter = adapter;
+    }
+
+    getAdapter() {
+        if (this.adapter) {
+            return this.adapter;
+        }
+
+        const { adapter: name } = this.settings;
+        const Adapter = Transcriber.ADAPTERS[name];
+
+        if (!Adapter) {
+            throw new Error(`Unknown transcription adapter: ${name}`);
+        }
+
+        return new Adapter(this.settings[name] || {});
+    }
+
+    canTranscribe(attachment) {
+        return Boolean(this.settings.enabled && attachment && attachment.type === 'audio' && attachment.path);
+    }
+
+    // Texto do áudio ou null (desligado, sem arquivo ou falha do motor)
+    async transcribe(attachment) {
+        if (!this.canTranscribe(attachment)) {
+            return null;
+        }
+
+        const filePath = this.bot.media.resolvePath(attachment.path);
+        if (!filePath || !fs.existsSync(filePath)) {
+            return null;
+        }
+
+        const startedAt = Date.now();
+
+        try {
+            const adapter = this.getAdapter();
+            const result = await adapter.transcribe(filePath, {
+                mimetype: attachment.mimetype,
+                language: this.settings.language
+            });
+            const text = result && typeof result.text === 'string' ? result.text.trim() : '';
+
+            logger.info(`🎙️ Audio transcribed by ${adapter.name || 'adapter'} in ${Date.now() - startedAt}ms (${text.length} chars)`);
+            return text || null;
+        } catch (error) {
+            logger.error('Error transcribing audio:', error);
+            return null;
+        }
+    }
+}
+
+Transcriber.DEFAULTS = DEFAULTS;
+Transcriber.ADAPTERS = { whisper_cpp: WhisperCppAdapter };
+Transcriber.WhisperCppAdapter = WhisperCppAdapter;
+
+module.exports = Transcriber;
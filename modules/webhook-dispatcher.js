@@ -0,0 +1,475 @@
+/**
+ * ============================================
+ * WEBHOOK DISPATCHER - Webhooks de Eventos
+ * Eventos do bot enviados em JSON assinado (HMAC) aos webhooks inscritos, com fila persistente e retry
+ * ============================================
+ *
+ * Cada entrega é uma linha de webhook_deliveries: o registro de entregas é a própria fila.
+ * Assinatura: X-Webhook-Signature = "sha256=" + HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`).
+ * O body não muda entre as tentativas; X-Webhook-Delivery identifica a entrega para descartar repetidas.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const database = require('../database/database');
+const logger = require('../logs/logger');
+
+const DEFAULTS = {
+    enabled: true,
+    timeout: 10000,
+    max_attempts: 6,
+    retry_base_delay: 5000,
+    retry_max_delay: 3600000,
+    worker_interval: 2000,
+    log_retention_days: 7
+};
+
+// Evento do bot (EventEmitter) -> evento do webhook
+const BOT_EVENTS = {
+    'session-started': 'session.started',
+    'session-closed': 'session.closed',
+    'message-received': 'message.received',
+    'message-sent': 'message.sent',
+    'lead-captured': 'lead.captured',
+    'department-transfer': 'transfer.department',
+    'handoff-requested': 'handoff.requested',
+    'negative-sentiment': 'sentiment.negative'
+};
+
+const EVENTS = [...Object.values(BOT_EVENTS), 'transfer.high_priority'];
+
+// Chaves de config.notifications: desligada, o evento não sai para nenhum webhook
+const NOTIFICATION_EVENTS = {
+    'lead.captured': 'new_lead',
+    'handoff.requested': 'transfer_to_human',
+    'transfer.high_priority': 'high_priority',
+    'sentiment.negative': 'negative_sentiment'
+};
+
+const TEST_EVENT = 'webhook.test';
+
+// Intervalo entre limpezas do registro de entregas antigas
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+class WebhookDispatcher {
+    constructor(bot) {
+        this.bot = bot;
+        this.timer = null;
+        this.processing = false;
+        this.webhooks = null;
+        this.lastPurge = 0;
+
+        Object.entries(BOT_EVENTS).forEach(([botEvent, event]) => {
+            bot.on(botEvent, payload => this.dispatch(event, payload));
+        });
+
+        // Transferência de prioridade alta também sai como evento próprio
+        bot.on('department-transfer', (payload) => {
+            if (payload.priority === 'high') {
+                this.dispatch('transfer.high_priority', payload);
+            }
+        });
+    }
+
+    get settings() {
+        return { ...DEFAULTS, ...(this.bot.config.webhooks || {}) };
+    }
+
+    // ============================================
+    // WEBHOOKS
+    // ============================================
+
+    list() {
+        return database.getWebhooks().map(webhook => ({
+            ...this.serialize(webhook, false),
+            stats: database.getWebhookDeliveryStats(webhook.id)
+        }));
+    }
+
+    get(id) {
+        const webhook = database.getWebhook(id);
+        return webhook ? this.serialize(webhook, true) : null;
+    }
+
+    create(data = {}) {
+        const error = this.validate(data, true);
+        if (error) {
+            return { success: false, status: 400, error: error };
+        }
+
+        const id = database.createWebhook({
+            url: data.url,
+            secret: data.secret || crypto.randomBytes(32).toString('hex'),
+            events: data.events || ['*'],
+            description: data.description,
+            active: data.active
+        });
+
+        this.webhooks = null;
+        logger.info(`🪝 Webhook ${id} created for ${data.url}`);
+
+        return { success: true, status: 201, data: this.get(id) };
+    }
+
+    update(id, data = {}) {
+        if (!database.getWebhook(id)) {
+            return { success: false, status: 404, error: 'Webhook não encontrado' };
+        }
+
+        const error = this.validate(data, false);
+        if (error) {
+            return { success: false, status: 400, error: error };
+        }
+
+        const fields = {};
+        ['url', 'secret', 'description'].filter(key => data[key] !== undefined).forEach((key) => {
+            fields[key] = data[key];
+        });
+        if (data.events !== undefined) {
+            fields.events = JSON.stringify(data.events);
+        }
+        if (data.active !== undefined) {
+            fields.active = data.active ? 1 : 0;
+        }
+
+        if (Object.keys(fields).length > 0) {
+            database.updateWebhook(id, fields);
+            this.webhooks = null;
+        }
+
+        return { success: true, status: 200, data: this.get(id) };
+    }
+
+    remove(id) {
+        if (!database.getWebhook(id)) {
+            return { success: false, status: 404, error: 'Webhook não encontrado' };
+        }
+
+        database.deleteWebhook(id);
+        this.webhooks = null;
+        logger.info(`🪝 Webhook ${id} removed`);
+
+        return { success: true, status: 200 };
+    }
+
+    validate(data, creating) {
+        if (creating || data.url !== undefined) {
+            let url = null;
+            try {
+                url = new URL(data.url);
+            } catch (error) {
+                url = null;
+            }
+            if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                return 'url deve ser uma URL http:// ou https://';
+            }
+        }
+
+        if (data.events !== undefined) {
+            if (!Array.isArray(data.events) || data.events.length === 0) {
+                return 'events deve ser uma lista (["*"] para todos)';
+            }
+            const unknown = data.events.filter(event => event !== '*' && !EVENTS.includes(event));
+            if (unknown.length > 0) {
+                return `Evento(s) desconhecido(s): ${unknown.join(', ')} (use ${EVENTS.join(', ')} ou *)`;
+            }
+        }
+
+        if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < 16)) {
+            return 'secret deve ter ao menos 16 caracteres';
+        }
+
+        return null;
+    }
+
+    // O secret só aparece por inteiro na consulta de um webhook (e na criação)
+    serialize(webhook, withSecret) {
+        return {
+            id: webhook.id,
+            url: webhook.url,
+            secret: withSecret ? webhook.secret : `${webhook.secret.slice(0, 4)}…`,
+            events: JSON.parse(webhook.events),
+            description: webhook.description,
+            active: Boolean(webhook.active),
+            createdAt: webhook.created_at,
+            updatedAt: webhook.updated_at
+        };
+    }
+
+    // WEBHOOK_URL (e WEBHOOK_SECRET) do .env viram um webhook inscrito em todos os eventos
+    registerFromEnv() {
+        const url = process.env.WEBHOOK_URL;
+        if (!url || database.getWebhookByUrl(url)) {
+            return;
+        }
+
+        const result = this.create({
+            url: url,
+            secret: process.env.WEBHOOK_SECRET || undefined,
+            events: ['*'],
+            description: 'WEBHOOK_URL do .env'
+        });
+
+        if (!result.success) {
+            logger.error(`❌ Invalid WEBHOOK_URL: ${result.error}`);
+        }
+    }
+
+    // ============================================
+    // EVENTOS
+    // ============================================
+
+    // Enfileira o evento para cada webhook ativo inscrito; retorna quantas entregas criou
+    dispatch(event, data) {
+        const { settings } = this;
+        const notification = NOTIFICATION_EVENTS[event];
+
+        if (!settings.enabled || (notification && (this.bot.config.notifications || {})[notification] === false)) {
+            return 0;
+        }
+
+        try {
+            const subscribers = this.getActiveWebhooks().filter(webhook =>
+                webhook.events.includes('*') || webhook.events.includes(event)
+            );
+
+            subscribers.forEach((webhook) => {
+                this.enqueue(webhook.id, event, data);
+            });
+
+            if (subscribers.length > 0) {
+                setImmediate(() => this.process().catch((error) => logger.error('Error processing webhooks:', error)));
+            }
+
+            return subscribers.length;
+        } catch (error) {
+            logger.error(`Error dispatching webhook event ${event}:`, error);
+            return 0;
+        }
+    }
+
+    enqueue(webhookId, event, data, maxAttempts = this.settings.max_attempts) {
+        return database.addWebhookDelivery({
+            webhookId: webhookId,
+            event: event,
+            payload: data,
+            maxAttempts: maxAttempts
+        });
+    }
+
+    // Evento de teste para um webhook (mesmo inativo): uma tentativa só, com o resultado na resposta
+    async sendTest(id) {
+        const webhook = database.getWebhook(id);
+        if (!webhook) {
+            return { success: false, status: 404, error: 'Webhook não encontrado' };
+        }
+
+        const deliveryId = this.enqueue(id, TEST_EVENT, {
+            message: 'Evento de teste do WhatsApp Bot',
+            webhookId: id
+        }, 1);
+        await this.deliver(database.getWebhookDelivery(deliveryId));
+
+        return { success: true, status: 200, data: this.serializeDelivery(database.getWebhookDelivery(deliveryId)) };
+    }
+
+    // Entrega que desistiu volta para a fila com novas tentativas
+    retry(deliveryId) {
+        const delivery = database.getWebhookDelivery(deliveryId);
+        if (!delivery) {
+            return { success: false, status: 404, error: 'Entrega não encontrada' };
+        }
+
+        if (delivery.status !== 'failed') {
+            return { success: false, status: 409, error: `Entrega está ${delivery.status}, só entregas com falha são reenviadas` };
+        }
+
+        database.updateWebhookDelivery(deliveryId, {
+            status: 'queued',
+            attempts: 0,
+            next_attempt_at: Date.now()
+        });
+        setImmediate(() => this.process().catch((error) => logger.error('Error processing webhooks:', error)));
+
+        return { success: true, status: 200, data: this.serializeDelivery(database.getWebhookDelivery(deliveryId)) };
+    }
+
+    getDeliveries(webhookId, status = null, limit = 100) {
+        return database.getWebhookDeliveries(webhookId, status, limit)
+            .map(delivery => this.serializeDelivery(delivery));
+    }
+
+    serializeDelivery(delivery) {
+        return {
+            id: delivery.id,
+            webhookId: delivery.webhook_id,
+            event: delivery.event,
+            payload: JSON.parse(delivery.payload),
+            status: delivery.status,
+            attempts: delivery.attempts,
+            maxAttempts: delivery.max_attempts,
+            nextAttemptAt: delivery.status === 'queued' ? new Date(delivery.next_attempt_at).toISOString() : null,
+            responseStatus: delivery.response_status,
+            lastError: delivery.last_error,
+            createdAt: delivery.created_at,
+            deliveredAt: delivery.delivered_at
+        };
+    }
+
+    // Cache da lista de webhooks ativos (invalidado a cada alteração)
+    getActiveWebhooks() {
+        if (!this.webhooks) {
+            this.webhooks = database.getWebhooks()
+                .filter(webhook => webhook.active)
+                .map(webhook => ({ id: webhook.id, events: JSON.parse(webhook.events) }));
+        }
+        return this.webhooks;
+    }
+
+    // ============================================
+    // WORKER
+    // ============================================
+
+    start() {
+        this.stop();
+        database.requeueInterruptedWebhookDeliveries();
+        this.registerFromEnv();
+
+        this.timer = setInterval(() => {
+            this.process().catch((error) => logger.error('Error processing webhooks:', error));
+        }, this.settings.worker_interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async process() {
+        if (this.processing) {
+            return 0;
+        }
+
+        this.processing = true;
+
+        try {
+            this.purge();
+
+            let delivered = 0;
+
+            for (const delivery of database.getDueWebhookDeliveries(Date.now())) {
+                if (await this.deliver(delivery)) {
+                    delivered++;
+                }
+            }
+
+            return delivered;
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async deliver(delivery) {
+        const webhook = database.getWebhook(delivery.webhook_id);
+        const attempts = delivery.attempts + 1;
+
+        if (!webhook) {
+            database.updateWebhookDelivery(delivery.id, { status: 'failed', last_error: 'Webhook removido' });
+            return false;
+        }
+
+        database.updateWebhookDelivery(delivery.id, { status: 'sending' });
+
+        const body = JSON.stringify({
+            id: delivery.id,
+            event: delivery.event,
+            createdAt: new Date(`${delivery.created_at.replace(' ', 'T')}Z`).toISOString(),
+            data: JSON.parse(delivery.payload)
+        });
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        let responseStatus = null;
+        let error = null;
+
+        try {
+            const response = await axios.post(webhook.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'WhatsAppBot-Webhooks',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': String(delivery.id),
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+                },
+                timeout: this.settings.timeout,
+                maxRedirects: 0,
+                validateStatus: () => true
+            });
+
+            responseStatus = response.status;
+            error = response.status >= 200 && response.status < 300 ? null : `HTTP ${response.status}`;
+        } catch (requestError) {
+            error = requestError.message;
+        }
+
+        if (!error) {
+            database.updateWebhookDelivery(delivery.id, {
+                status: 'delivered',
+                attempts: attempts,
+                response_status: responseStatus,
+                last_error: null,
+                delivered_at: new Date().toISOString()
+            });
+
+            logger.info(`🪝 ${delivery.event} delivered to webhook ${webhook.id} (attempt ${attempts})`);
+            return true;
+        }
+
+        const failed = attempts >= delivery.max_attempts;
+
+        database.updateWebhookDelivery(delivery.id, {
+            status: failed ? 'failed' : 'queued',
+            attempts: attempts,
+            response_status: responseStatus,
+            last_error: error,
+            next_attempt_at: Date.now() + this.getBackoff(attempts)
+        });
+
+        if (failed) {
+            logger.error(`❌ Giving up webhook delivery ${delivery.id} (${delivery.event}) to ${webhook.url}: ${error}`);
+            this.bot.emit('webhook-failed', {
+                id: delivery.id,
+                webhookId: webhook.id,
+                event: delivery.event,
+                error: error
+            });
+        } else {
+            logger.warn(`⚠️ Webhook delivery ${delivery.id} to ${webhook.url} failed (attempt ${attempts}), retrying: ${error}`);
+        }
+
+        return false;
+    }
+
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    getBackoff(attempts) {
+        const delay = this.settings.retry_base_delay * Math.pow(2, attempts - 1);
+        return Math.min(delay, this.settings.retry_max_delay);
+    }
+
+    purge() {
+        if (Date.now() - this.lastPurge < PURGE_INTERVAL) {
+            return;
+        }
+
+        this.lastPurge = Date.now();
+        database.purgeWebhookDeliveries(Date.now() - this.settings.log_retention_days * 24 * 60 * 60 * 1000);
+    }
+}
+
+WebhookDispatcher.EVENTS = EVENTS;
+
+module.exports = WebhookDispatcher;
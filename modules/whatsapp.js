@@ -1,23 +1,63 @@
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const FlowEngine = require('./flow-engine');
+const HandoffManager = require('./handoff-manager');
+const QueueManager = require('./queue-manager');
+const BusinessHours = require('./business-hours');
+const OfflineInbox = require('./offline-inbox');
+const OutboundQueue = require('./outbound-queue');
+const CampaignManager = require('./campaign-manager');
+const ConsentManager = require('./consent-manager');
+const GroupManager = require('./group-manager');
+const MediaStore = require('./media-store');
+const Transcriber = require('./transcriber');
+const WebhookDispatcher = require('./webhook-dispatcher');
+const FlowTrigger = require('./flow-trigger');
 const AIBrain = require('../ai/brain');
 const database = require('../database/database');
 const security = require('../security/encryption');
 const logger = require('../logs/logger');
 
-class WhatsAppBot {
+// Status de entrega a partir do ACK do WhatsApp (em ordem de progresso)
+const ACK_STATUSES = { 1: 'sent', 2: 'delivered', 3: 'read', 4: 'read' };
+const ACK_ORDER = ['queued', 'sent', 'delivered', 'read'];
+
+class WhatsAppBot extends EventEmitter {
     constructor(config) {
+        super();
         this.config = config;
         this.client = null;
         this.isReady = false;
         this.activeSessions = new Map();
-        this.messageQueue = [];
+        this.sessionReaper = null;
+
+        // Fila de saída persistente (retry, limite de envio, status)
+        this.outbound = new OutboundQueue(this);
+        this.campaigns = new CampaignManager(this);
+        this.consent = new ConsentManager(this);
+        this.groups = new GroupManager(this);
+        this.media = new MediaStore(this);
+        this.transcriber = new Transcriber(this);
         
         // Inicializar Flow Engine
         this.flowEngine = new FlowEngine(config);
+
+        // Atendimento humano e filas por departamento
+        this.handoff = new HandoffManager(this);
+        this.queues = new QueueManager(this);
+
+        // Horário de atendimento (global e por departamento)
+        this.businessHours = new BusinessHours(this);
+        this.offlineInbox = new OfflineInbox(this);
+
+        // Eventos do bot para sistemas externos (webhooks assinados)
+        this.webhooks = new WebhookDispatcher(this);
+
+        // Fluxos iniciados por sistemas externos (POST /api/flows/:id/trigger)
+        this.triggers = new FlowTrigger(this);
         
         this.initClient();
     }
@@ -63,9 +103,19 @@ class WhatsAppBot {
             logger.info(`📱 Bot Name: ${this.config.botName}`);
             logger.info(`🤖 Mode: ${this.config.mode.toUpperCase()}`);
             logger.info(`🔄 Flow Engine: ACTIVE`);
+
+            // Enviar o que ficou na fila durante a desconexão
+            this.outbound.start();
+            this.campaigns.start();
             
             // Iniciar limpeza automática
             security.startCleanupInterval();
+
+            // Encerrar sessões inativas
+            this.startSessionReaper();
+
+            // Entregar mensagens recebidas fora do horário
+            this.offlineInbox.start();
         });
 
         // Autenticação
@@ -89,6 +139,13 @@ class WhatsAppBot {
             await this.handleIncomingMessage(message);
         });
 
+        // Confirmação de entrega/leitura
+        this.client.on('message_ack', (message, ack) => {
+            if (message.fromMe) {
+                this.handleMessageAck(message.id._serialized, ack);
+            }
+        });
+
         // Mensagem criada (enviada pelo bot)
         this.client.on('message_create', async (message) => {
             if (message.fromMe) {
@@ -103,21 +160,30 @@ class WhatsAppBot {
     
     async handleIncomingMessage(message) {
         try {
-            const from = message.from;
-            const contact = await message.getContact();
-            const chatName = contact.pushname || contact.number;
-            const messageBody = message.body;
-
-            // Ignorar mensagens de grupo e status
-            if (message.isGroup || message.from === 'status@broadcast') {
+            // Ignorar status e mensagens do próprio bot
+            if (message.from === 'status@broadcast' || message.fromMe) {
                 return;
             }
 
-            // Ignorar mensagens do próprio bot
-            if (message.fromMe) {
-                return;
+            let { from, body: messageBody } = message;
+            let author = null;
+
+            // Grupo liberado: só responde quando mencionado ou com o prefixo,
+            // e cada participante tem sua própria sessão e fluxo
+            if (message.isGroup || this.groups.isGroupChat(message.from)) {
+                const text = this.groups.match(message);
+                if (text === null) {
+                    return;
+                }
+
+                ({ author } = message);
+                from = this.groups.toKey(message.from, author);
+                messageBody = text;
             }
 
+            const contact = await message.getContact();
+            const chatName = contact.pushname || contact.number;
+
             logger.info(`📩 Message from ${chatName} (${from}): ${messageBody}`);
 
             // Verificar rate limit
@@ -127,22 +193,64 @@ class WhatsAppBot {
             }
 
             // Verificar se está bloqueado
-            if (security.isBlocked(from)) {
+            if (security.isBlocked(author || from)) {
                 logger.warn(`🚫 Blocked number tried to send message: ${from}`);
                 return;
             }
 
+            // Anexo (imagem, documento, áudio, localização); na localização o body é a miniatura
+            const attachment = await this.media.capture(message);
+            if (attachment && attachment.type === 'location') {
+                messageBody = '';
+            }
+
+            // Áudio / mensagem de voz: a transcrição segue para o fluxo como se fosse digitada
+            const transcript = await this.transcriber.transcribe(attachment);
+            if (transcript) {
+                attachment.transcript = transcript;
+                messageBody = transcript;
+            }
+
             // Sanitizar mensagem
             const sanitizedMessage = security.sanitizeInput(messageBody);
+            const conversationText = sanitizedMessage || (attachment ? this.media.describe(attachment) : '');
 
             // Obter ou criar sessão
             let session = this.getSession(from);
             if (!session) {
                 session = this.createSession(from, chatName);
             }
+            session.lastInteraction = Date.now();
 
             // Salvar mensagem no banco
-            database.saveConversation(from, sanitizedMessage, 'user', null, null, session.id);
+            const saved = database.saveConversation(
+                message.from, conversationText, 'user', null, null, session.id, { author: author }
+            );
+
+            if (attachment) {
+                attachment.id = database.addAttachment({
+                    ...attachment,
+                    conversationId: saved.lastInsertRowid,
+                    phone: message.from
+                }).lastInsertRowid;
+                logger.info(`📎 ${attachment.type} attachment saved for ${from}`);
+            }
+
+            this.emit('message-received', {
+                phone: from,
+                name: chatName,
+                sessionId: session.id,
+                message: conversationText,
+                author: author,
+                attachment: attachment
+                    ? { id: attachment.id, type: attachment.type, mimetype: attachment.mimetype }
+                    : null,
+                timestamp: new Date().toISOString()
+            });
+
+            if (sanitizedMessage) {
+                this.checkSentiment(from, chatName, session, sanitizedMessage);
+            }
 
             // Obter contexto do usuário
             let userContext = database.getUserContext(from);
@@ -155,6 +263,17 @@ class WhatsAppBot {
                 database.saveUserContext(from, userContext);
             }
 
+            // Opt-out / opt-in por palavra-chave (vale também durante o atendimento humano)
+            if (!author && await this.consent.handleKeyword(from, sanitizedMessage)) {
+                return;
+            }
+
+            // Conversa com atendente humano: o bot fica em silêncio
+            if (session.needsHuman) {
+                this.handoff.onCustomerMessage(session, conversationText);
+                return;
+            }
+
             // Processar comando especial
             if (sanitizedMessage.startsWith('/')) {
                 await this.handleCommand(from, sanitizedMessage, session);
@@ -163,8 +282,13 @@ class WhatsAppBot {
 
             // Verificar horário de atendimento
             if (this.config.business_hours.enabled && !this.isBusinessHours()) {
-                if (this.config.business_hours.auto_reply_offline) {
-                    await this.sendMessage(from, this.config.business_hours.offline_message);
+                // Guardar para entregar ao atendimento; o aviso de offline vai só na primeira mensagem
+                const firstMessage = this.config.business_hours.capture_offline_messages
+                    ? this.offlineInbox.capture(from, chatName, conversationText)
+                    : true;
+
+                if (this.config.business_hours.auto_reply_offline && firstMessage) {
+                    await this.sendMessage(from, this.businessHours.getOfflineMessage());
                 }
                 return;
             }
@@ -173,7 +297,9 @@ class WhatsAppBot {
             // PROCESSAR COM FLOW ENGINE
             // ============================================
             
-            const flowResult = await this.flowEngine.processMessage(from, sanitizedMessage, userContext);
+            const flowResult = await this.flowEngine.processMessage(
+                from, sanitizedMessage, userContext, attachment, session
+            );
             
             await this.handleFlowResult(from, flowResult, session, userContext);
 
@@ -201,18 +327,43 @@ class WhatsAppBot {
                 return;
             }
 
+            // Departamento fechado: a mensagem de transferência dá lugar ao aviso de offline
+            const closedTransfer = result.action === 'transfer_department' &&
+                !this.businessHours.isOpen(this.queues.getDepartment(result.departmentId));
+
             // Enviar mensagem
-            if (result.message) {
+            if (result.message && !closedTransfer) {
                 // Aplicar delay se especificado
                 if (result.delay) {
                     await this.sleep(result.delay);
                 }
 
-                await this.sendMessage(from, result.message);
-                
-                // Salvar resposta do bot no banco
-                const sentiment = result.sentiment?.classification || null;
-                database.saveConversation(from, result.message, 'bot', sentiment, null, session.id);
+                // Resposta do bot é registrada na conversa pela fila de saída
+                await this.sendMessage(from, result.message, {
+                    sentiment: result.sentiment?.classification || null,
+                    sessionId: session.id
+                });
+            }
+
+            // Step send_media
+            if (result.media) {
+                if (result.delay) {
+                    await this.sleep(result.delay);
+                }
+
+                this.sendMedia(from, result.media, result.caption, { sessionId: session.id });
+            }
+
+            // capture_data gravou um dado do contato (user_context)
+            if (result.lead) {
+                this.emit('lead-captured', {
+                    phone: from,
+                    name: userContext.name || session.name,
+                    sessionId: session.id,
+                    field: result.lead.field,
+                    value: result.lead.value,
+                    contact: userContext
+                });
             }
 
             // Processar ações especiais
@@ -222,9 +373,9 @@ class WhatsAppBot {
 
             // Se deve continuar processando
             if (result.continue) {
-                // Processar próximo step automaticamente
-                const nextResult = await this.flowEngine.processMessage(from, '', userContext);
-                if (nextResult && nextResult.message) {
+                // Processar próximo step automaticamente (condition só decide o caminho, sem mensagem)
+                const nextResult = await this.flowEngine.processMessage(from, '', userContext, null, session);
+                if (nextResult) {
                     await this.handleFlowResult(from, nextResult, session, userContext);
                 }
             }
@@ -232,8 +383,8 @@ class WhatsAppBot {
             // Se o fluxo foi reiniciado
             if (result.restart) {
                 // Reiniciar fluxo do zero
-                const initialResult = await this.flowEngine.processMessage(from, '', userContext);
-                if (initialResult && initialResult.message) {
+                const initialResult = await this.flowEngine.processMessage(from, '', userContext, null, session);
+                if (initialResult) {
                     await this.sleep(1000);
                     await this.handleFlowResult(from, initialResult, session, userContext);
                 }
@@ -286,8 +437,7 @@ class WhatsAppBot {
     async transferToHuman(from, session) {
         logger.info(`🤝 Transferring ${from} to human attendant`);
         
-        session.needsHuman = true;
-        session.transferredAt = Date.now();
+        this.handoff.request(from, session);
         
         // Notificar no log
         database.saveMetric('human_transfer', {
@@ -308,12 +458,31 @@ class WhatsAppBot {
             return;
         }
 
+        if (!this.businessHours.isOpen(department)) {
+            await this.handleClosedDepartment(from, department, session);
+            return;
+        }
+
         logger.info(`📋 Transferring ${from} to department: ${department.name}`);
         
         session.department = departmentId;
         session.priority = priority;
         session.transferredAt = Date.now();
 
+        // Conversa passa para os atendentes do departamento, na fila
+        this.handoff.request(from, session, 'transfer_department');
+        await this.queues.enqueue(from, departmentId, { priority: priority, sessionId: session.id });
+
+        this.emit('department-transfer', {
+            phone: from,
+            name: session.name,
+            sessionId: session.id,
+            departmentId: departmentId,
+            department: department.name,
+            priority: priority,
+            timestamp: new Date().toISOString()
+        });
+
         // Salvar métrica
         database.saveMetric('department_transfer', {
             phone: from,
@@ -334,6 +503,40 @@ class WhatsAppBot {
         }
     }
 
+    // Transferência para departamento fora do horário
+    async handleClosedDepartment(from, department, session) {
+        const settings = this.config.business_hours;
+
+        logger.info(`🌙 Department ${department.name} is closed, ${from} not queued`);
+
+        await this.sendMessage(from, this.businessHours.getOfflineMessage(department));
+
+        if (settings.callback_requests) {
+            const userState = this.flowEngine.getUserState(from);
+
+            database.addCallbackRequest({
+                phone: from,
+                name: session.name,
+                departmentId: department.id,
+                data: userState ? userState.data : {}
+            });
+
+            if (settings.callback_message) {
+                await this.sendMessage(from, settings.callback_message.replace('{department}', department.name));
+            }
+
+            this.emit('callback-requested', {
+                phone: from,
+                name: session.name,
+                departmentId: department.id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Próxima mensagem recomeça o fluxo
+        this.flowEngine.resetUserFlow(from);
+    }
+
     // ============================================
     // COMANDOS ESPECIAIS
     // ============================================
@@ -344,7 +547,7 @@ class WhatsAppBot {
         switch(cmd) {
             case '/menu':
                 this.flowEngine.resetUserFlow(from);
-                const menuResult = await this.flowEngine.processMessage(from, '', {});
+                const menuResult = await this.flowEngine.processMessage(from, '', {}, null, session);
                 if (menuResult) {
                     await this.sendMessage(from, menuResult.message);
                 }
@@ -410,6 +613,7 @@ class WhatsAppBot {
             messagesCount: 0,
             department: null,
             needsHuman: false,
+            assignedAgent: null,
             priority: 'normal'
         };
 
@@ -417,65 +621,167 @@ class WhatsAppBot {
         database.createSession(sessionId, from);
 
         logger.info(`✅ New session created for ${name} (${from})`);
+        this.emit('session-started', {
+            sessionId: sessionId,
+            phone: from,
+            name: name,
+            startedAt: new Date(session.startedAt).toISOString()
+        });
         
         return session;
     }
 
-    closeSession(from) {
+    closeSession(from, options = {}) {
         const session = this.activeSessions.get(from);
         if (session) {
             database.closeSession(session.id);
             this.activeSessions.delete(from);
-            this.flowEngine.resetUserFlow(from);
-            logger.info(`🔚 Session closed for ${from}`);
+
+            // No desligamento o estado do fluxo é mantido para a próxima inicialização
+            if (!options.keepFlowState) {
+                this.flowEngine.resetUserFlow(from);
+                this.queues.removeByPhone(from).catch((error) => logger.error('Error leaving queue:', error));
+            }
+
+            const reason = options.reason || 'manual';
+            logger.info(`🔚 Session closed for ${from} (${reason})`);
+
+            this.emit('session-closed', {
+                sessionId: session.id,
+                phone: from,
+                name: session.name,
+                reason: reason,
+                messagesCount: session.messagesCount,
+                idleMs: Date.now() - session.lastInteraction,
+                closedAt: new Date().toISOString()
+            });
         }
     }
 
     // ============================================
-    // VERIFICAÇÕES
+    // EXPIRAÇÃO DE SESSÕES INATIVAS
     // ============================================
-    
-    isBusinessHours() {
-        if (!this.config.business_hours.enabled) return true;
 
-        const now = new Date();
-        const dayName = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][now.getDay()];
-        const schedule = this.config.business_hours.schedule[dayName];
+    startSessionReaper() {
+        this.stopSessionReaper();
 
-        if (!schedule || !schedule.open || !schedule.close) {
-            return false;
+        const interval = this.config.security.session_reaper_interval || 60000;
+        this.sessionReaper = setInterval(() => {
+            this.reapIdleSessions().catch((error) => logger.error('Error reaping idle sessions:', error));
+        }, interval);
+    }
+
+    stopSessionReaper() {
+        if (this.sessionReaper) {
+            clearInterval(this.sessionReaper);
+            this.sessionReaper = null;
         }
+    }
 
-        const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-        
-        return currentTime >= schedule.open && currentTime <= schedule.close;
+    async reapIdleSessions() {
+        const timeout = this.config.security.session_timeout;
+        if (!timeout) {
+            return 0;
+        }
+
+        const now = Date.now();
+        const expired = this.getAllSessions().filter((session) =>
+            now - session.lastInteraction > timeout && !this.isAwaitingAgent(session)
+        );
+
+        for (const session of expired) {
+            if (this.config.security.notify_session_timeout && this.config.security.session_timeout_message) {
+                await this.sendMessage(session.phone, this.config.security.session_timeout_message);
+            }
+            this.closeSession(session.phone, { reason: 'timeout' });
+        }
+
+        if (expired.length > 0) {
+            logger.info(`⏱️ Closed ${expired.length} idle session(s)`);
+        }
+
+        return expired.length;
+    }
+
+    // Conversa com um atendente (ou à espera de um) não expira por inatividade: quem encerra é o atendente
+    isAwaitingAgent(session) {
+        return Boolean(session.needsHuman) || Boolean(this.queues.getPosition(session.phone));
+    }
+
+    // ============================================
+    // VERIFICAÇÕES
+    // ============================================
+    
+    isBusinessHours(department = null) {
+        return this.businessHours.isOpen(department);
+    }
+
+    // Mensagem negativa do cliente vira evento (webhook sentiment.negative)
+    checkSentiment(from, name, session, message) {
+        const sentiment = AIBrain.analyzeSentiment(AIBrain.sanitize(message));
+
+        if (sentiment.classification === 'negative') {
+            this.emit('negative-sentiment', {
+                phone: from,
+                name: name,
+                sessionId: session.id,
+                message: message,
+                score: sentiment.score,
+                comparative: sentiment.comparative,
+                timestamp: new Date().toISOString()
+            });
+        }
     }
 
     // ============================================
     // ENVIO DE MENSAGENS
     // ============================================
     
-    async sendMessage(to, message) {
+    // Enfileira na fila de saída e registra na conversa; retorna o id da mensagem na fila (ou false)
+    sendMessage(to, message, options = {}) {
+        // Em grupo, "to" é a chave grupo/participante: envia no grupo mencionando o participante
+        const target = this.groups.resolve(to, message);
+
+        if (!this.consent.allows(target.chatId, options.source)) {
+            logger.warn(`🚫 ${target.chatId} opted out, ${options.source} message not sent`);
+            return false;
+        }
+
         try {
-            await this.client.sendMessage(to, message);
-            logger.info(`📤 Sent to ${to}: ${message.substring(0, 50)}...`);
-            return true;
+            const outboundId = this.outbound.enqueue(target.chatId, target.body, {
+                ...options,
+                mentions: target.mentions
+            });
+            const session = this.getSession(to);
+
+            database.saveConversation(
+                target.chatId,
+                message || (options.media ? this.media.describe(options.media) : ''),
+                options.sender || 'bot',
+                options.sentiment || null,
+                options.departmentId || null,
+                options.sessionId || (session ? session.id : null),
+                { outboundId: outboundId, ackStatus: 'queued' }
+            );
+
+            return outboundId;
         } catch (error) {
-            logger.error('Error sending message:', error);
+            logger.error('Error queueing message:', error);
             return false;
         }
     }
 
-    async sendMedia(to, filePath, caption = '') {
-        try {
-            const media = MessageMedia.fromFilePath(filePath);
-            await this.client.sendMessage(to, media, { caption: caption });
-            logger.info(`📤 Media sent to ${to}`);
-            return true;
-        } catch (error) {
-            logger.error('Error sending media:', error);
+    // Mídia da biblioteca ({ mediaId }) ou URL ({ url }) pela fila de saída, na ordem das demais mensagens
+    sendMedia(to, source, caption = '', options = {}) {
+        const media = this.media.normalizeSource(source);
+        const error = this.media.checkSource(media);
+
+        if (error) {
+            logger.error(`Error sending media to ${to}: ${error}`);
             return false;
         }
+
+        return this.sendMessage(to, caption, { ...options, media: media });
     }
 
     async sendButtons(to, message, buttons) {
@@ -489,9 +795,35 @@ class WhatsAppBot {
     // LOG
     // ============================================
     
+    // Mensagens enviadas fora da fila (ex.: digitadas no celular do bot)
     async logBotMessage(message) {
-        if (message.to && message.body) {
-            database.saveConversation(message.to, message.body, 'bot', null, null, null);
+        if (!message.to || !message.body) {
+            return;
+        }
+
+        const waMessageId = message.id ? message.id._serialized : null;
+        if (database.isOutboundMessage(waMessageId, message.to, message.body)) {
+            return;
+        }
+
+        database.saveConversation(message.to, message.body, 'bot', null, null, null, {
+            waMessageId: waMessageId,
+            ackStatus: 'sent'
+        });
+    }
+
+    // ACK do WhatsApp: 1 = servidor, 2 = aparelho, 3 = lido, 4 = reproduzido
+    handleMessageAck(waMessageId, ack) {
+        const status = ACK_STATUSES[ack];
+        if (!status) {
+            return;
+        }
+
+        const previous = ACK_ORDER.slice(0, ACK_ORDER.indexOf(status));
+        database.updateConversationAck(waMessageId, status, previous);
+
+        if (ack >= 2) {
+            this.outbound.markAcked(waMessageId);
         }
     }
 
@@ -502,6 +834,10 @@ class WhatsAppBot {
     async start() {
         try {
             logger.info('🚀 Starting WhatsApp Bot...');
+
+            // Webhooks não dependem da conexão com o WhatsApp
+            this.webhooks.start();
+
             await this.client.initialize();
         } catch (error) {
             logger.error('Failed to start bot:', error);
@@ -512,11 +848,19 @@ class WhatsAppBot {
     async stop() {
         try {
             logger.info('🛑 Stopping WhatsApp Bot...');
+
+            this.stopSessionReaper();
+            this.offlineInbox.stop();
+            this.outbound.stop();
+            this.campaigns.stop();
             
             // Fechar todas as sessões ativas
             for (const [phone, session] of this.activeSessions) {
-                this.closeSession(phone);
+                this.closeSession(phone, { reason: 'shutdown', keepFlowState: true });
             }
+
+            // session.closed do desligamento fica na fila e sai na próxima inicialização
+            this.webhooks.stop();
             
             await this.client.destroy();
             this.isReady = false;
@@ -545,6 +889,15 @@ class WhatsAppBot {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    // Normaliza "5511999999999" para o id de chat do WhatsApp ("5511999999999@c.us")
+    static toChatId(phone) {
+        const value = String(phone).trim();
+        if (value.includes('@')) {
+            return value;
+        }
+        return `${value.replace(/\D/g, '')}@c.us`;
+    }
+
     getStatus() {
         return {
             isReady: this.isReady,
@@ -561,23 +914,9 @@ class WhatsAppBot {
     }
 
     // ============================================
-    // BROADCAST & UTILITIES
+    // UTILITIES
     // ============================================
     
-    async broadcast(phones, message) {
-        const results = [];
-        
-        for (const phone of phones) {
-            const result = await this.sendMessage(phone, message);
-            results.push({ phone, success: result });
-            
-            // Delay entre mensagens
-            await this.sleep(2000);
-        }
-        
-        return results;
-    }
-
     getAllSessions() {
         return Array.from(this.activeSessions.values());
     }
@@ -594,7 +933,16 @@ class WhatsAppBot {
         logger.info('🔄 Reloading configuration...');
         
         this.config = newConfig;
-        this.flowEngine = new FlowEngine(newConfig);
+        this.flowEngine.reload(newConfig);
+
+        // Aplicar novo intervalo/timeout de sessão
+        if (this.sessionReaper) {
+            this.startSessionReaper();
+        }
+
+        if (this.offlineInbox.timer) {
+            this.offlineInbox.start();
+        }
         
         logger.info('✅ Configuration reloaded successfully');
         logger.info(`🤖 New mode: ${this.config.mode}`);
@@ -325,6 +325,25 @@ class SecurityMiddlewares {
         };
     }
 
+    /**
+     * Tipos de arquivo aceitos (uploads com corpo binário)
+     */
+    static allowedContentTypes(types) {
+        return (req, res, next) => {
+            const contentType = (req.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+            if (!types.includes(contentType)) {
+                logger.warn(`Content-type not allowed: ${contentType} from ${req.ip}`);
+                return res.status(415).json({
+                    success: false,
+                    error: `Tipo de arquivo não permitido. Aceitos: ${types.join(', ')}`
+                });
+            }
+
+            next();
+        };
+    }
+
     static _parseSize(size) {
         const units = {
             b: 1,
@@ -109,13 +109,211 @@ class RequestValidators {
             .default(false)
     });
 
+    // Destino de um step: id de step do mesmo fluxo ou id de outro fluxo
+    static stepTargetSchema = Joi.string().min(1);
+
+    static messageStepSchema = Joi.object({
+        id: Joi.string().required(),
+        type: Joi.string().valid('message').required(),
+        message: Joi.string().required(),
+        delay: Joi.number().min(0),
+        next: RequestValidators.stepTargetSchema
+    });
+
+    static menuStepSchema = Joi.object({
+        id: Joi.string().required(),
+        type: Joi.string().valid('menu').required(),
+        message: Joi.string().required(),
+        options: Joi.array().items(Joi.object({
+            id: Joi.string().required(),
+            label: Joi.string().required(),
+            action: Joi.string().valid('goto', 'transfer_human', 'transfer_department').required(),
+            target: Joi.alternatives()
+                .conditional('action', {
+                    switch: [
+                        { is: 'goto', then: RequestValidators.stepTargetSchema.required() },
+                        { is: 'transfer_department', then: Joi.number().integer().required() }
+                    ],
+                    otherwise: Joi.any().valid(null)
+                })
+        })).min(1).required(),
+        validation: Joi.string(),
+        retry_message: Joi.string(),
+        max_retries: Joi.number().integer().min(1).max(10)
+    });
+
+    static captureDataStepSchema = Joi.object({
+        id: Joi.string().required(),
+        type: Joi.string().valid('capture_data').required(),
+        field: Joi.string().required(),
+        message: Joi.string().required(),
+        validation: Joi.string().valid('text', 'email', 'phone', 'cpf', 'cnpj', 'cpf_cnpj', 'number', 'option'),
+        required: Joi.boolean(),
+        save_to: Joi.string().pattern(/^\w+\.\w+$/),
+        next: RequestValidators.stepTargetSchema
+    });
+
+    static quickReplyStepSchema = Joi.object({
+        id: Joi.string().required(),
+        type: Joi.string().valid('quick_reply').required(),
+        message: Joi.string().required(),
+        options: Joi.array().items(Joi.object({
+            id: Joi.string().required(),
+            label: Joi.string().required(),
+            next: RequestValidators.stepTargetSchema
+        })).min(1).required()
+    });
+
+    static aiResponseStepSchema = Joi.object({
+        id: Joi.string().required(),
+        type: Joi.string().valid('ai_response').required(),
+        message: Joi.string(),
+        confidence_threshold: Joi.number().min(0).max(1).required(),
+        fallback: RequestValidators.stepTargetSchema
+    });
+
+    static actionStepSchema = Joi.object({
+        id: Joi.string().required(),
+        type: Joi.string().valid('action').required(),
+        action: Joi.string().valid('transfer_department', 'transfer_human', 'generate_boleto', 'send_email').required(),
+        department_id: Joi.number().integer().when('action', {
+            is: 'transfer_department',
+            then: Joi.required()
+        }),
+        notify_human: Joi.boolean(),
+        priority: Joi.string().valid('low', 'normal', 'high'),
+        message: Joi.string(),
+        context_message: Joi.string(),
+        success_message: Joi.string(),
+        next: RequestValidators.stepTargetSchema
+    });
+
+    static conditionStepSchema = Joi.object({
+        id: Joi.string().required(),
+        type: Joi.string().valid('condition').required(),
+        // A sintaxe da expressão é conferida pelo config/flow-validator.js (modules/expression.js)
+        condition: Joi.string().max(500).required(),
+        if_true: RequestValidators.stepTargetSchema,
+        if_false: RequestValidators.stepTargetSchema
+    }).or('if_true', 'if_false');
+
+    // Caso do step switch: todos os critérios informados precisam casar
+    static switchCaseSchema = Joi.object({
+        label: Joi.string(),
+        keywords: Joi.array().items(Joi.string().min(1)).min(1),
+        department_keywords: Joi.number().integer(),
+        regex: Joi.string().max(200),
+        flags: Joi.string().pattern(/^[imsu]*$/),
+        intent: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()).min(1)),
+        sentiment: Joi.alternatives().try(
+            Joi.string().valid('positive', 'neutral', 'negative'),
+            Joi.array().items(Joi.string().valid('positive', 'neutral', 'negative')).min(1)
+        ),
+        condition: Joi.string().max(500),
+        next: RequestValidators.stepTargetSchema.required()
+    }).or('keywords', 'department_keywords', 'regex', 'intent', 'sentiment', 'condition');
+
+    // Step switch: primeiro caso que casar decide o destino; sem nenhum, vai para default
+    static switchStepSchema = Joi.object({
+        id: Joi.string().required(),
+        type: Joi.string().valid('switch').required(),
+        message: Joi.string(),
+        input: Joi.string().pattern(/^(data|user_context|session)(\.\w+)+$/).messages({
+            'string.pattern.base': 'input deve ser um caminho como data.campo ou user_context.campo'
+        }),
+        cases: Joi.array().items(RequestValidators.switchCaseSchema).min(1).required(),
+        default: RequestValidators.stepTargetSchema.required()
+    });
+
+    // Step http_request: a URL e os caminhos da resposta são conferidos pelo config/flow-validator.js
+    static httpRequestStepSchema = Joi.object({
+        id: Joi.string().required(),
+        type: Joi.string().valid('http_request').required(),
+        method: Joi.string().valid('GET', 'POST', 'PUT', 'PATCH', 'DELETE'),
+        url: Joi.string().max(2000).required(),
+        headers: Joi.object().pattern(/^[\w-]+$/, Joi.string().allow('')),
+        body: Joi.alternatives().try(Joi.object(), Joi.array(), Joi.string()),
+        timeout: Joi.number().integer().min(100).max(60000),
+        retries: Joi.number().integer().min(0).max(5),
+        response_mapping: Joi.object().pattern(/^\w+$/, Joi.string()),
+        on_success: RequestValidators.stepTargetSchema.required(),
+        on_error: RequestValidators.stepTargetSchema.required()
+    });
+
+    // Step send_media: id da biblioteca de mídia ou URL (conferida contra integrations.allowlist no flow-validator)
+    static sendMediaStepSchema = Joi.object({
+        id: Joi.string().required(),
+        type: Joi.string().valid('send_media').required(),
+        media_id: Joi.number().integer().min(1),
+        url: Joi.string().uri({ scheme: ['http', 'https'] }),
+        caption: Joi.string().max(1024).allow(''),
+        delay: Joi.number().min(0),
+        next: RequestValidators.stepTargetSchema
+    }).xor('media_id', 'url');
+
+    // Step capture_media: aguarda um arquivo do cliente
+    static captureMediaStepSchema = Joi.object({
+        id: Joi.string().required(),
+        type: Joi.string().valid('capture_media').required(),
+        message: Joi.string().required(),
+        field: Joi.string().required(),
+        media_types: Joi.array()
+            .items(Joi.string().valid('image', 'document', 'audio', 'video', 'sticker', 'location'))
+            .min(1),
+        mimetypes: Joi.array()
+            .items(Joi.string().pattern(/^[\w.+-]+\/(\*|[\w.+-]+)$/))
+            .min(1)
+            .messages({
+                'string.pattern.base': 'mimetype inválido (use "image/png" ou "image/*")'
+            }),
+        max_size: Joi.number().integer().min(1),
+        max_retries: Joi.number().integer().min(1).max(10),
+        retry_message: Joi.string(),
+        size_message: Joi.string(),
+        success_message: Joi.string(),
+        save_to: Joi.string()
+            .pattern(/^user_context\.\w+$/)
+            .messages({
+                'string.pattern.base': 'save_to deve ter o formato "user_context.campo"'
+            }),
+        next: RequestValidators.stepTargetSchema
+    });
+
+    // Schema de cada tipo de step aceito pelo FlowEngine
+    static stepSchemas = {
+        message: RequestValidators.messageStepSchema,
+        menu: RequestValidators.menuStepSchema,
+        capture_data: RequestValidators.captureDataStepSchema,
+        capture_media: RequestValidators.captureMediaStepSchema,
+        send_media: RequestValidators.sendMediaStepSchema,
+        quick_reply: RequestValidators.quickReplyStepSchema,
+        ai_response: RequestValidators.aiResponseStepSchema,
+        action: RequestValidators.actionStepSchema,
+        condition: RequestValidators.conditionStepSchema,
+        switch: RequestValidators.switchStepSchema,
+        http_request: RequestValidators.httpRequestStepSchema
+    };
+
+    static flowStepSchema = Joi.alternatives().conditional('.type', {
+        switch: Object.entries(RequestValidators.stepSchemas).map(([type, schema]) => ({ is: type, then: schema })),
+        otherwise: Joi.object({
+            id: Joi.string().required(),
+            type: Joi.string().valid(...Object.keys(RequestValidators.stepSchemas)).required()
+        }).unknown()
+    });
+
+    static flowSchema = Joi.object({
+        name: Joi.string(),
+        steps: Joi.array().items(RequestValidators.flowStepSchema).min(1).required()
+    }).unknown();
+
     // Configuração
     static configSchema = Joi.object({
         currentMode: Joi.string()
             .valid('atendimento', 'triagem')
             .optional(),
         modes: Joi.object().optional(),
-        flows: Joi.object().optional(),
+        flows: Joi.object().pattern(Joi.string(), RequestValidators.flowSchema).optional(),
         departments: Joi.array().optional(),
         ai: Joi.object({
             enabled: Joi.boolean(),
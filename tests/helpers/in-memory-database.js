@@ -0,0 +1,11 @@
+/**
+ * Setup comum dos testes (jest.setupFiles)
+ * Banco em memória: nenhum teste toca em database/whatsapp_bot.db
+ */
+
+jest.mock('better-sqlite3', () => {
+    const Database = jest.requireActual('better-sqlite3');
+    return function InMemoryDatabase() {
+        return new Database(':memory:');
+    };
+});
@@ -0,0 +1,156 @@
+/**
+ * Step http_request contra um servidor HTTP local: allowlist conferida depois das
+ * variáveis, retry em 5xx, timeout e mapeamento da resposta para os dados do fluxo
+ */
+
+const http = require('http');
+
+const FlowEngine = require('../../modules/flow-engine');
+
+const PHONE = '5511999990010@c.us';
+
+// Rotas do servidor falso: cada uma recebe a requisição e o número da chamada
+const routes = {
+    '/api/pedidos/48213': (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+            pedido: { status: 'enviado', 'código rastreio': 'BR123' },
+            itens: [{ nome: 'Camiseta' }, { nome: 'Boné' }]
+        }));
+    },
+    '/api/instavel': (req, res, hit) => {
+        res.statusCode = hit === 1 ? 503 : 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ ok: hit > 1 }));
+    },
+    '/api/lento': (req, res) => {
+        setTimeout(() => res.end('{}'), 500);
+    },
+    '/admin': (req, res) => {
+        res.end('{}');
+    }
+};
+
+describe('http_request step', () => {
+    let server;
+    let base;
+    let hits;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            hits[req.url] = (hits[req.url] || 0) + 1;
+            const route = routes[req.url];
+
+            if (!route) {
+                res.statusCode = 404;
+                res.end('{}');
+                return;
+            }
+            route(req, res, hits[req.url]);
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        hits = {};
+    });
+
+    // Fluxo com o step http_request e os dois destinos; data são as variáveis já capturadas
+    async function runStep(step, data = {}) {
+        const engine = new FlowEngine({
+            departments: [],
+            integrations: { allowlist: [`${base}/api`], retries: 1, retry_base_delay: 10, timeout: 2000 },
+            flows: {
+                integracao: {
+                    name: 'Integração',
+                    steps: [
+                        { id: 'consulta', type: 'http_request', on_success: 'ok', on_error: 'erro', ...step },
+                        { id: 'ok', type: 'message', message: 'Pedido {status}' },
+                        { id: 'erro', type: 'message', message: 'Falhou: {httpError}' }
+                    ]
+                }
+            }
+        });
+
+        engine.resetUserFlow(PHONE);
+        engine.initializeUserFlow(PHONE, 'integracao', {}, { data: data });
+
+        const result = await engine.processMessage(PHONE, '', {});
+        return { result: result, state: engine.getUserState(PHONE) };
+    }
+
+    test('maps the JSON response into flow data with JSONPath', async () => {
+        const { result, state } = await runStep({
+            url: `${base}/api/pedidos/{pedido}`,
+            response_mapping: {
+                status: '$.pedido.status',
+                rastreio: "$.pedido['código rastreio']",
+                segundo_item: '$.itens[1].nome',
+                ausente: '$.pedido.entrega.data'
+            }
+        }, { pedido: '48213' });
+
+        expect(result.continue).toBe(true);
+        expect(state.stepId).toBe('ok');
+        expect(state.data).toMatchObject({
+            httpStatus: 200,
+            httpError: null,
+            status: 'enviado',
+            rastreio: 'BR123',
+            segundo_item: 'Boné',
+            ausente: null
+        });
+    });
+
+    test('checks the allowlist after filling in the variables', async () => {
+        const { state } = await runStep({ url: `${base}/{caminho}` }, { caminho: 'admin' });
+
+        expect(state.stepId).toBe('erro');
+        expect(state.data.httpError).toBe('URL fora da allowlist');
+        expect(hits['/admin']).toBeUndefined();
+    });
+
+    test('encodes variables so they cannot leave the allowed path', async () => {
+        const { state } = await runStep({ url: `${base}/api/pedidos/{pedido}` }, { pedido: '../../admin' });
+
+        expect(state.stepId).toBe('erro');
+        expect(state.data.httpStatus).toBe(404);
+        expect(hits['/admin']).toBeUndefined();
+    });
+
+    test('retries a 5xx response and follows on_success when a retry works', async () => {
+        const { state } = await runStep({ url: `${base}/api/instavel`, retries: 2 });
+
+        expect(hits['/api/instavel']).toBe(2);
+        expect(state.stepId).toBe('ok');
+        expect(state.data.httpStatus).toBe(200);
+    });
+
+    test('gives up after the configured retries and follows on_error', async () => {
+        routes['/api/sempre-fora'] = (req, res) => {
+            res.statusCode = 502;
+            res.end('{}');
+        };
+
+        const { state } = await runStep({ url: `${base}/api/sempre-fora`, retries: 2 });
+
+        expect(hits['/api/sempre-fora']).toBe(3);
+        expect(state.stepId).toBe('erro');
+        expect(state.data).toMatchObject({ httpStatus: 502, httpError: 'HTTP 502' });
+    });
+
+    test('follows on_error when the request times out', async () => {
+        const { state } = await runStep({ url: `${base}/api/lento`, timeout: 100, retries: 0 });
+
+        expect(hits['/api/lento']).toBe(1);
+        expect(state.stepId).toBe('erro');
+        expect(state.data).toMatchObject({ httpStatus: null, httpError: 'timeout' });
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Transcrição de áudio com um adaptador falso: o texto chega ao FlowEngine
+ * como se o cliente tivesse digitado e fica salvo no anexo
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const WhatsAppBot = require('../../modules/whatsapp');
+const database = require('../../database/database');
+
+const TRANSCRIPT = 'quero a segunda via do boleto';
+
+function createBot(storagePath) {
+    const config = JSON.parse(fs.readFileSync(path.join(__dirname, '../../config/bot.config.json'), 'utf8'));
+
+    config.business_hours.enabled = false;
+    config.media = { ...(config.media || {}), storage_path: storagePath };
+    config.transcription = { ...(config.transcription || {}), enabled: true, language: 'pt' };
+
+    return new WhatsAppBot(config);
+}
+
+function voiceNote(from) {
+    return {
+        from: from,
+        body: '',
+        type: 'ptt',
+        hasMedia: true,
+        fromMe: false,
+        isGroup: false,
+        downloadMedia: jest.fn().mockResolvedValue({
+            data: Buffer.from('OggS fake opus audio').toString('base64'),
+            mimetype: 'audio/ogg; codecs=opus',
+            filename: null
+        }),
+        getContact: jest.fn().mockResolvedValue({ pushname: 'Ana', number: from.split('@')[0] }),
+        getChat: jest.fn().mockResolvedValue({ name: 'Ana' })
+    };
+}
+
+describe('Transcriber', () => {
+    let storagePath;
+    let bot;
+    let adapter;
+
+    beforeEach(() => {
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'transcriber-test-'));
+        bot = createBot(storagePath);
+        adapter = {
+            name: 'fake',
+            transcribe: jest.fn().mockResolvedValue({ text: ` ${TRANSCRIPT} ` })
+        };
+        bot.transcriber.setAdapter(adapter);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+
+    test('rejects an adapter without transcribe()', () => {
+        expect(() => bot.transcriber.setAdapter({ name: 'broken' })).toThrow(/transcribe/);
+    });
+
+    test('sends the transcript of a voice note to the flow and stores it on the attachment', async () => {
+        const from = '5511999990001@c.us';
+        const processMessage = jest.spyOn(bot.flowEngine, 'processMessage').mockResolvedValue({});
+
+        await bot.handleIncomingMessage(voiceNote(from));
+
+        expect(adapter.transcribe).toHaveBeenCalledTimes(1);
+        const [filePath, options] = adapter.transcribe.mock.calls[0];
+        expect(filePath.startsWith(storagePath)).toBe(true);
+        expect(options).toEqual({ mimetype: 'audio/ogg; codecs=opus', language: 'pt' });
+
+        expect(processMessage).toHaveBeenCalledTimes(1);
+        const [phone, message, , attachment] = processMessage.mock.calls[0];
+        expect(phone).toBe(from);
+        expect(message).toBe(TRANSCRIPT);
+        expect(attachment).toMatchObject({ type: 'audio', transcript: TRANSCRIPT });
+
+        expect(database.getAttachment(attachment.id).transcript).toBe(TRANSCRIPT);
+    });
+
+    test('keeps the audio as an attachment without text when the adapter fails', async () => {
+        const from = '5511999990002@c.us';
+        const processMessage = jest.spyOn(bot.flowEngine, 'processMessage').mockResolvedValue({});
+        adapter.transcribe.mockRejectedValue(new Error('engine down'));
+
+        await bot.handleIncomingMessage(voiceNote(from));
+
+        const [, message, , attachment] = processMessage.mock.calls[0];
+        expect(message).toBe('');
+        expect(attachment.transcript).toBeUndefined();
+        expect(database.getAttachment(attachment.id).transcript).toBeNull();
+    });
+});